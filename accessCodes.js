@@ -0,0 +1,79 @@
+/**
+ * @file accessCodes.js
+ * @description Hashing of access codes. Like API keys, codes are only stored as a hash, so their plaintext is known
+ * only when they are created. Used by the server and by scripts/migrate-code-hashes.js.
+ *
+ * Codes are short, so a plain hash of them could be reversed by trying every possible code. They are therefore hashed
+ * with an HMAC keyed with CODE_HASH_SECRET, which is only known to the server and not stored with the data.
+ */
+const crypto = require('crypto');
+
+// Codes shorter than this are shown fully masked, since their last characters give away too much of them
+const MIN_HINT_CODE_LENGTH = 7;
+
+/**
+ * Reads the secret access codes are hashed with.
+ * @returns {string} The secret.
+ * @throws {Error} If CODE_HASH_SECRET is not set.
+ */
+function getCodeHashSecret() {
+    const secret = process.env.CODE_HASH_SECRET;
+    if (!secret) {
+        throw new Error('CODE_HASH_SECRET must be set to hash access codes');
+    }
+    return secret;
+}
+
+/**
+ * Hashes an access code with the salt of the stored code.
+ * @param {string} value - The plaintext code.
+ * @param {string} salt - The hex-encoded salt.
+ * @returns {string} The hex-encoded HMAC-SHA256.
+ */
+function hashAccessCode(value, salt) {
+    return crypto.createHmac('sha256', getCodeHashSecret()).update(`${salt}:${value}`).digest('hex');
+}
+
+/**
+ * Creates the fields that are stored instead of a plaintext code: its hash, the salt and a hint of its last two
+ * characters for codes long enough, so admins can tell codes apart.
+ * @param {string} value - The plaintext code.
+ * @returns {{codeHash: string, codeSalt: string, codeHint: string}} The fields to store.
+ */
+function createCodeHash(value) {
+    const code = String(value);
+    const codeSalt = crypto.randomBytes(16).toString('hex');
+    return {
+        codeHash: hashAccessCode(code, codeSalt),
+        codeSalt,
+        codeHint: code.length >= MIN_HINT_CODE_LENGTH ? code.slice(-2) : ''
+    };
+}
+
+/**
+ * Checks whether a code entered at a gate matches a stored code. Codes that have not been migrated yet still carry
+ * their plaintext in `code` and are compared directly.
+ * @param {Object} entry - The stored code.
+ * @param {string} value - The code entered at the gate.
+ * @returns {boolean} True if the code matches.
+ */
+function matchesAccessCode(entry, value) {
+    if (!entry.codeHash) {
+        return entry.code !== undefined && String(entry.code) === String(value);
+    }
+    const expected = Buffer.from(entry.codeHash, 'hex');
+    const actual = Buffer.from(hashAccessCode(String(value), entry.codeSalt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strips the hash, salt and any remaining plaintext from a stored code before it leaves the server.
+ * @param {Object} entry - The stored code.
+ * @returns {Object} The code without its secret fields.
+ */
+function toPublicCode(entry) {
+    const { code, codeHash, codeSalt, ...publicCode } = entry;
+    return publicCode;
+}
+
+module.exports = { getCodeHashSecret, createCodeHash, matchesAccessCode, toPublicCode };
@@ -0,0 +1,127 @@
+/**
+ * @file authorization.js
+ * @description Who may do what in a community. Admins and the superuser may do everything everywhere. Other users
+ * get a role per community: users listed in the community's allowedUsers get the role stored for them in its
+ * userRoles (`viewer`, `operator` or `manager`, `operator` if none is stored), and residents get the `resident` role
+ * in communities where a resident of an address is linked to their account. The server enforces the permissions of
+ * these roles with its `authorize` middleware.
+ */
+
+// Roles that can be given to the allowed users of a community
+const COMMUNITY_ROLES = ['viewer', 'operator', 'manager'];
+
+// Role of allowed users without an entry in userRoles, which keeps the rights they had before roles existed
+const DEFAULT_COMMUNITY_ROLE = 'operator';
+
+// Permissions of each community role. Residents only have theirs at the addresses they are linked to.
+const ROLE_PERMISSIONS = {
+    viewer: ['community.view', 'logs.view'],
+    operator: [
+        'community.view', 'logs.view', 'addresses.manage', 'residents.manage', 'residents.link', 'codes.manage',
+        'guestPasses.manage'
+    ],
+    manager: [
+        'community.view', 'logs.view', 'addresses.manage', 'residents.manage', 'residents.link', 'codes.manage',
+        'guestPasses.manage', 'allowedUsers.manage'
+    ],
+    resident: ['community.view', 'residents.manage', 'codes.manage', 'guestPasses.manage']
+};
+
+// Permissions every user linked to a resident of an address has at that address, whatever their role
+const LINKED_RESIDENT_PERMISSIONS = ['guestPasses.manage'];
+
+// Permissions no community role has, so only admins and the superuser have them
+const ADMIN_PERMISSIONS = ['community.delete', 'settings.manage', 'bans.manage', 'gates.manage', 'apiKeys.manage'];
+
+/**
+ * Checks whether the logged-in user is an admin or the superuser.
+ * @param {Object} session - The session of the user.
+ * @returns {boolean} True for admins and the superuser.
+ */
+function isAdminSession(session) {
+    return session.userRole === 'admin' || session.userRole === 'superuser';
+}
+
+/**
+ * Checks whether the logged-in user is linked to one of the residents of an address.
+ * @param {Object} session - The session of the user.
+ * @param {Object} address - The address, including its people.
+ * @returns {boolean} True if the user is a resident of the address.
+ */
+function isLinkedResident(session, address) {
+    return (address.people || []).some(person => person.userId && person.userId === session.userId);
+}
+
+/**
+ * Determines the role of the logged-in user in a community.
+ * @param {Object} session - The session of the user.
+ * @param {Object} community - The community, including its addresses.
+ * @returns {string|null} `admin`, one of COMMUNITY_ROLES, `resident`, or null if the user has no access.
+ */
+function getCommunityRole(session, community) {
+    if (isAdminSession(session)) {
+        return 'admin';
+    }
+    if (session.userRole === 'resident') {
+        return (community.addresses || []).some(address => isLinkedResident(session, address)) ? 'resident' : null;
+    }
+    if (!(community.allowedUsers || []).includes(session.username)) {
+        return null;
+    }
+    const role = (community.userRoles || {})[session.username];
+    return COMMUNITY_ROLES.includes(role) ? role : DEFAULT_COMMUNITY_ROLE;
+}
+
+/**
+ * Checks whether the logged-in user has a permission in a community, and for residents, at an address.
+ * @param {Object} session - The session of the user.
+ * @param {Object} community - The community, including its addresses.
+ * @param {string} permission - The permission, e.g. `codes.manage`.
+ * @param {string} [addressId] - The ID of the address the request is about, if any.
+ * @returns {boolean} True if the user has the permission.
+ */
+function hasCommunityPermission(session, community, permission, addressId) {
+    const role = getCommunityRole(session, community);
+    if (role === 'admin') {
+        return true;
+    }
+    if (LINKED_RESIDENT_PERMISSIONS.includes(permission)) {
+        const address = (community.addresses || []).find(a => a.id === addressId);
+        if (address && isLinkedResident(session, address)) {
+            return true;
+        }
+    }
+    if (!role || !ROLE_PERMISSIONS[role].includes(permission)) {
+        return false;
+    }
+    if (role === 'resident' && permission !== 'community.view') {
+        const address = (community.addresses || []).find(a => a.id === addressId);
+        return Boolean(address) && isLinkedResident(session, address);
+    }
+    return true;
+}
+
+/**
+ * Lists the permissions of the logged-in user in a community, so the dashboard can hide what the user cannot do.
+ * @param {Object} session - The session of the user.
+ * @param {Object} community - The community, including its addresses.
+ * @returns {string[]} The permissions; residents have theirs only at the addresses they are linked to.
+ */
+function getCommunityPermissions(session, community) {
+    const role = getCommunityRole(session, community);
+    if (role === 'admin') {
+        return [...new Set(Object.values(ROLE_PERMISSIONS).flat()), ...ADMIN_PERMISSIONS];
+    }
+    return role ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+module.exports = {
+    COMMUNITY_ROLES,
+    ROLE_PERMISSIONS,
+    ADMIN_PERMISSIONS,
+    isAdminSession,
+    isLinkedResident,
+    getCommunityRole,
+    hasCommunityPermission,
+    getCommunityPermissions
+};
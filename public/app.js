@@ -22,12 +22,97 @@ let selectedAddress = null;
  */
 let isAdmin = false;
 
+/**
+ * Flag indicating if the user is the superuser, who may reset the two-factor authentication of others.
+ * @type {boolean}
+ */
+let isSuperuser = false;
+
+
 /**
  * Array to store user objects.
  * @type {*[]}
  */
 let users = [];
 
+/**
+ * Array to store the API keys of the selected community.
+ * @type {Array<Object>}
+ */
+let apiKeys = [];
+
+/**
+ * Array to store the audit log entries shown in the audit log popup.
+ * @type {Array<Object>}
+ */
+let auditLogs = [];
+
+/**
+ * The addresses the logged-in user is a resident of, with their guest passes, as shown in the guest passes popup.
+ * @type {Array<Object>}
+ */
+let guestPassAddresses = [];
+
+/**
+ * The two-factor authentication status of the logged-in user, as shown in the two-factor popup.
+ * @type {Object|null}
+ */
+let twoFactorStatus = null;
+
+
+/**
+ * The access log entries loaded into the log popup so far, newest first.
+ * @type {Array<Object>}
+ */
+let logEntries = [];
+
+/**
+ * The filters applied to the log popup (player, action, from, to).
+ * @type {Object}
+ */
+let logFilters = {};
+
+/**
+ * The cursor of the next, older page of access logs, or null if all entries are loaded.
+ * @type {string|null}
+ */
+let logNextCursor = null;
+
+/**
+ * Flag indicating if an older page of access logs is being loaded.
+ * @type {boolean}
+ */
+let isLoadingLogs = false;
+
+/**
+ * The name of the community whose logs are shown in the log popup, or null while it is closed.
+ * @type {string|null}
+ */
+let logCommunityName = null;
+
+/**
+ * Flag indicating if live log entries are held back in the log popup.
+ * @type {boolean}
+ */
+let isLogPaused = false;
+
+/**
+ * Live log entries received while the log popup was paused, newest first.
+ * @type {Array<Object>}
+ */
+let pausedLogEntries = [];
+
+/**
+ * Names of the communities with new log entries since their logs were last shown.
+ * @type {Set<string>}
+ */
+let communitiesWithNewLogs = new Set();
+
+/**
+ * The connection to the server's live event stream.
+ * @type {EventSource|null}
+ */
+let eventSource = null;
 
 /**
  * Variable to store the CSRF token.
@@ -102,23 +187,35 @@ async function checkLoginStatus() {
         const response = await fetch('/api/check-auth');
         if (response.ok) {
             const data = await response.json();
+            // Users who still have to set up two-factor authentication do so on the login page
+            if (data.twoFactorSetupRequired) {
+                window.location.href = '/login.html';
+                return;
+            }
             currentUserId = data.userId;
             currentUsername = data.username;
             updateUserName(data.username);
 
             isAdmin = data.role === 'admin' || data.role === 'superuser';
+            isSuperuser = data.role === 'superuser';
 
-            if (isAdmin) {
-                document.getElementById('allowedUsersManagement').style.display = 'block';
-            } else {
-                document.getElementById('allowedUsersManagement').remove();
+            // Allowed users are shown per community to those who may manage them, see renderAllowedUsers
+            if (!isAdmin) {
+                document.getElementById('timezoneSettings').remove();
                 const addCommunityBtn = document.getElementById('12');
                 const showUsersBtn = document.getElementById('showUsersBtn');
+                const showApiKeysBtn = document.getElementById('showApiKeysBtn');
+                const showBansBtn = document.getElementById('showBansBtn');
+                const showAuditLogBtn = document.getElementById('showAuditLogBtn');
                 if (addCommunityBtn) addCommunityBtn.remove();
                 if (showUsersBtn) showUsersBtn.remove();
+                if (showApiKeysBtn) showApiKeysBtn.remove();
+                if (showBansBtn) showBansBtn.remove();
+                if (showAuditLogBtn) showAuditLogBtn.remove();
             }
 
             fetchData();
+            connectEventStream();
         } else {
             updateUserName('Guest');
             window.location.href = '/login.html';
@@ -154,11 +251,12 @@ async function fetchUsers() {
 }
 
 /**
- * Toggles a user's role between admin and user
+ * Toggles a user's role between admin and user, or sets the given role
  * @async
  * @param {string} userId - The ID of the user to toggle role
+ * @param {string} [role] - The role to set, e.g. 'resident'
  */
-async function toggleUserRole(userId) {
+async function toggleUserRole(userId, role) {
     try {
         const response = await fetch(`/api/users/${userId}/role`, {
             method: 'PUT',
@@ -166,7 +264,8 @@ async function toggleUserRole(userId) {
                 'Content-Type': 'application/json',
                 'X-CSRF-Token': csrfToken
             },
-            credentials: 'include'
+            credentials: 'include',
+            body: JSON.stringify(role ? { role } : {})
         });
 
         if (response.ok) {
@@ -176,8 +275,8 @@ async function toggleUserRole(userId) {
             if (userIndex !== -1) {
                 users[userIndex].role = data.newRole;
 
-                // If user was made admin, remove them from all communities' allowed users lists
-                if (data.newRole === 'admin') {
+                // If user was made admin or resident, remove them from all communities' allowed users lists
+                if (data.newRole === 'admin' || data.newRole === 'resident') {
                     const username = users[userIndex].username;
                     communities.forEach(community => {
                         community.allowedUsers = community.allowedUsers.filter(
@@ -225,6 +324,16 @@ function renderUsers() {
                             title="${user.role === 'admin' ? 'Remove admin' : 'Make admin'}">
                         ${user.role === 'admin' ? '👑' : '👤'}
                     </button>
+                    <button onclick="toggleUserRole('${user.id}', '${user.role === 'resident' ? 'user' : 'resident'}')"
+                            class="role-btn ${user.role === 'resident' ? 'resident' : 'user'}"
+                            title="${user.role === 'resident' ? 'Remove resident role' : 'Make resident (only their own addresses)'}">
+                        🏠
+                    </button>
+                    ${isSuperuser && user.twoFactorEnabled ? `
+                    <button onclick="resetTwoFactor('${user.id}')" class="role-btn"
+                            title="Reset two-factor authentication">
+                        🔓
+                    </button>` : ''}
                     <button onclick="removeUser('${user.id}')" class="remove-btn">-</button>
                 </div>
             `;
@@ -448,6 +557,18 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// Load older logs when the log popup is scrolled to the bottom
+document.addEventListener('DOMContentLoaded', function() {
+    const logContent = document.getElementById('logContent');
+    if (logContent) {
+        logContent.addEventListener('scroll', function() {
+            if (logContent.scrollTop + logContent.clientHeight >= logContent.scrollHeight - 50) {
+                loadMoreLogs(selectedCommunity.name);
+            }
+        });
+    }
+});
+
 // Add event listener for the "Show Users" button
 document.addEventListener('DOMContentLoaded', function() {
     const showLogsBtn = document.getElementById('showUsersBtn');
@@ -458,6 +579,56 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// Add event listener for the "API Keys" button
+document.addEventListener('DOMContentLoaded', function() {
+    const showApiKeysBtn = document.getElementById('showApiKeysBtn');
+    if (showApiKeysBtn) {
+        showApiKeysBtn.addEventListener('click', function() {
+            showApiKeysPopup();
+        });
+    }
+});
+
+// Add event listener for the "Bans" button
+document.addEventListener('DOMContentLoaded', function() {
+    const showBansBtn = document.getElementById('showBansBtn');
+    if (showBansBtn) {
+        showBansBtn.addEventListener('click', function() {
+            showBansPopup();
+        });
+    }
+});
+
+// Add event listener for the "Guest Passes" button
+document.addEventListener('DOMContentLoaded', function() {
+    const showGuestPassesBtn = document.getElementById('showGuestPassesBtn');
+    if (showGuestPassesBtn) {
+        showGuestPassesBtn.addEventListener('click', function() {
+            showGuestPassesPopup();
+        });
+    }
+});
+
+// Add event listener for the "Two-Factor" button
+document.addEventListener('DOMContentLoaded', function() {
+    const showTwoFactorBtn = document.getElementById('showTwoFactorBtn');
+    if (showTwoFactorBtn) {
+        showTwoFactorBtn.addEventListener('click', function() {
+            showTwoFactorPopup();
+        });
+    }
+});
+
+// Add event listener for the "Audit Log" button
+document.addEventListener('DOMContentLoaded', function() {
+    const showAuditLogBtn = document.getElementById('showAuditLogBtn');
+    if (showAuditLogBtn) {
+        showAuditLogBtn.addEventListener('click', function() {
+            showAuditLogPopup();
+        });
+    }
+});
+
 // Add event listener for the "Add User" button
 document.addEventListener('DOMContentLoaded', function() {
     const addAddressBtn = document.getElementById('addAddressBtn');
@@ -473,13 +644,16 @@ document.addEventListener('DOMContentLoaded', function() {
 function showLogs(communityName) {
     document.getElementById('logPopupTitle').textContent = `Logs for ${communityName}`;
     document.getElementById('logPopup').style.display = 'block';
+    logCommunityName = communityName;
+    renderLogGateFilter();
+    logEntries = [];
+    logNextCursor = null;
+    setLogPaused(false);
     updateLogs(communityName);
 
-    if (window.logUpdateInterval) {
-        clearInterval(window.logUpdateInterval);
-    }
-
-    window.logUpdateInterval = setInterval(() => updateLogs(communityName), 5000);
+    // New entries arrive through the event stream from now on
+    communitiesWithNewLogs.delete(communityName);
+    renderCommunities();
 }
 
 /**
@@ -491,13 +665,275 @@ function showUsersPopup() {
 }
 
 /**
- * Closes the log popup and clears the log update interval.
+ * Displays the API keys of the selected community.
+ */
+function showApiKeysPopup() {
+    if (!selectedCommunity) {
+        alert('No community selected');
+        return;
+    }
+    document.getElementById('apiKeysPopupTitle').textContent = `API Keys for ${selectedCommunity.name}`;
+    document.getElementById('apiKeysPopup').style.display = 'block';
+    fetchApiKeys();
+}
+
+/**
+ * Closes the API keys popup.
+ */
+function closeApiKeysPopup() {
+    document.getElementById('apiKeysPopup').style.display = 'none';
+}
+
+/**
+ * Displays the ban list of the selected community.
+ */
+function showBansPopup() {
+    if (!selectedCommunity) {
+        alert('No community selected');
+        return;
+    }
+    document.getElementById('bansPopupTitle').textContent = `Bans for ${selectedCommunity.name}`;
+    document.getElementById('bansPopup').style.display = 'block';
+    renderBans();
+}
+
+/**
+ * Closes the bans popup.
+ */
+function closeBansPopup() {
+    document.getElementById('bansPopup').style.display = 'none';
+}
+
+/**
+ * Displays the guest passes of the addresses the logged-in user is a resident of.
+ */
+function showGuestPassesPopup() {
+    document.getElementById('guestPassesPopup').style.display = 'block';
+    fetchGuestPasses();
+}
+
+/**
+ * Closes the guest passes popup.
+ */
+function closeGuestPassesPopup() {
+    document.getElementById('guestPassesPopup').style.display = 'none';
+}
+
+/**
+ * Displays the two-factor authentication settings of the logged-in user.
+ */
+function showTwoFactorPopup() {
+    document.getElementById('twoFactorPopup').style.display = 'block';
+    fetchTwoFactor();
+}
+
+/**
+ * Closes the two-factor authentication popup.
+ */
+function closeTwoFactorPopup() {
+    document.getElementById('twoFactorPopup').style.display = 'none';
+}
+
+/**
+ * Displays the audit log, with the community filter offering all communities.
+ */
+function showAuditLogPopup() {
+    const communityFilter = document.getElementById('auditCommunityFilter');
+    communityFilter.innerHTML = '<option value="">All communities</option>';
+    communities.forEach(community => {
+        const option = document.createElement('option');
+        option.value = community.id;
+        option.textContent = community.name;
+        communityFilter.appendChild(option);
+    });
+
+    document.getElementById('auditLogPopup').style.display = 'block';
+    fetchAuditLogs();
+}
+
+/**
+ * Closes the audit log popup.
+ */
+function closeAuditLogPopup() {
+    document.getElementById('auditLogPopup').style.display = 'none';
+}
+
+/**
+ * Closes the log popup. Live entries are no longer shown until it is opened again.
  */
 function closeLogPopup() {
     document.getElementById('logPopup').style.display = 'none';
-    if (window.logUpdateInterval) {
-        clearInterval(window.logUpdateInterval);
+    logCommunityName = null;
+    setLogPaused(false);
+}
+
+/**
+ * Connects to the server's live event stream. The browser reconnects by itself when the connection is lost;
+ * the log popup is then refreshed to pick up entries written in the meantime.
+ * @function connectEventStream
+ * @returns {void}
+ */
+function connectEventStream() {
+    if (eventSource) {
+        eventSource.close();
+    }
+
+    eventSource = new EventSource('/api/events');
+    eventSource.addEventListener('access-log', event => handleLiveLog(JSON.parse(event.data)));
+    eventSource.addEventListener('community-updated', event => handleCommunityUpdate(JSON.parse(event.data)));
+    eventSource.addEventListener('community-deleted', event => removeCommunityState(JSON.parse(event.data).id));
+    eventSource.addEventListener('open', () => {
+        if (logCommunityName) {
+            updateLogs(logCommunityName);
+        }
+    });
+}
+
+/**
+ * Merges a created or changed community from the event stream into the local data and re-renders it.
+ * Changes the local copy already contains (e.g. the user's own) are recognized by their version and skipped.
+ * @function handleCommunityUpdate
+ * @param {Object} community - The current community data from the server.
+ * @returns {void}
+ */
+function handleCommunityUpdate(community) {
+    const localCommunity = communities.find(c => c.id === community.id);
+
+    if (!localCommunity) {
+        communities.push(community);
+        renderCommunities();
+        updateAddCommunityButtonVisibility();
+        if (!selectedCommunity) {
+            document.getElementById('addAddressBtn').style.display = 'block';
+            document.querySelector('main h3').style.display = 'block';
+            selectCommunity(community.id);
+        }
+        return;
+    }
+
+    if ((community.version || 0) > (localCommunity.version || 0)) {
+        applyCommunityState(community);
+    }
+}
+
+/**
+ * Removes a deleted community from the local data and selects another one if it was selected.
+ * @function removeCommunityState
+ * @param {string} communityId - The ID of the deleted community.
+ * @returns {void}
+ */
+function removeCommunityState(communityId) {
+    if (!communities.some(c => c.id === communityId)) return;
+
+    communities = communities.filter(c => c.id !== communityId);
+    renderCommunities();
+
+    if (!selectedCommunity || selectedCommunity.id === communityId) {
+        const addAddressBtn = document.getElementById('addAddressBtn');
+        const addressesHeader = document.querySelector('main h3');
+
+        if (communities.length > 0) {
+            selectCommunity(communities[0].id);
+            addAddressBtn.style.display = 'block';
+            addressesHeader.style.display = 'block';
+        } else {
+            selectedCommunity = null;
+            renderAddresses();
+            renderAllowedUsers();
+            renderLockdown();
+            renderGates();
+            addAddressBtn.style.display = 'none';
+            addressesHeader.style.display = 'none';
+            document.getElementById('communityName').textContent = 'Please create a Community';
+        }
+    }
+    updateAddCommunityButtonVisibility();
+}
+
+/**
+ * Handles a new access log entry from the event stream: shows it in the log popup if that community's logs are open,
+ * or marks the community in the sidebar otherwise.
+ * @function handleLiveLog
+ * @param {Object} entry - The new access log entry.
+ * @returns {void}
+ */
+function handleLiveLog(entry) {
+    if (entry.community !== logCommunityName) {
+        communitiesWithNewLogs.add(entry.community);
+        renderCommunities();
+        return;
+    }
+
+    if (!matchesLogFilters(entry)) return;
+
+    if (isLogPaused) {
+        pausedLogEntries.unshift(entry);
+        setLogPaused(true);
+    } else {
+        prependLogEntries([entry]);
+    }
+}
+
+/**
+ * Checks whether an access log entry matches the filters applied to the log popup.
+ * @function matchesLogFilters
+ * @param {Object} entry - The access log entry.
+ * @returns {boolean} True if the entry matches.
+ */
+function matchesLogFilters(entry) {
+    const timestamp = new Date(entry.timestamp);
+    return (!logFilters.player || entry.player === logFilters.player) &&
+        (!logFilters.action || entry.action === logFilters.action) &&
+        (!logFilters.gateId || entry.gateId === logFilters.gateId) &&
+        (!logFilters.from || timestamp >= new Date(logFilters.from)) &&
+        (!logFilters.to || timestamp <= new Date(logFilters.to));
+}
+
+/**
+ * Adds new access log entries to the top of the log popup, skipping entries that are already shown.
+ * @function prependLogEntries
+ * @param {Array<Object>} entries - The new entries, newest first.
+ * @returns {void}
+ */
+function prependLogEntries(entries) {
+    const knownIds = new Set(logEntries.map(log => log.id));
+    logEntries = [...entries.filter(log => !knownIds.has(log.id)), ...logEntries];
+    displayLogs(logEntries);
+}
+
+/**
+ * Pauses or resumes live updates of the log popup. Entries received while paused are shown on resume.
+ * @function toggleLogPause
+ * @returns {void}
+ */
+function toggleLogPause() {
+    if (isLogPaused) {
+        const entries = pausedLogEntries;
+        setLogPaused(false);
+        prependLogEntries(entries);
+    } else {
+        setLogPaused(true);
+    }
+}
+
+/**
+ * Sets whether the log popup is paused and updates the pause button, which shows how many entries are waiting.
+ * Unpausing discards the waiting entries; toggleLogPause shows them first.
+ * @function setLogPaused
+ * @param {boolean} paused - Whether live updates are paused.
+ * @returns {void}
+ */
+function setLogPaused(paused) {
+    isLogPaused = paused;
+    if (!paused) {
+        pausedLogEntries = [];
     }
+
+    const pauseBtn = document.getElementById('logPauseBtn');
+    pauseBtn.classList.toggle('paused', paused);
+    pauseBtn.textContent = paused
+        ? `Resume${pausedLogEntries.length > 0 ? ` (${pausedLogEntries.length} new)` : ''}`
+        : 'Pause';
 }
 
 /**
@@ -508,24 +944,952 @@ function closeUsersPopup() {
 }
 
 /**
- * Fetches and updates logs for a specific community.
+ * Fetches the API keys of the selected community from the server and updates the UI.
  * @async
- * @function updateLogs
- * @param {string} communityName - The name of the community to update logs for.
+ * @function fetchApiKeys
+ * @returns {Promise<void>}
+ */
+async function fetchApiKeys() {
+    try {
+        const response = await fetch(`/api/communities/${selectedCommunity.id}/api-keys`);
+        if (response.ok) {
+            apiKeys = await response.json();
+            renderApiKeys();
+        } else {
+            console.error('Failed to fetch API keys:', response.statusText);
+        }
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+    }
+}
+
+/**
+ * Fetches the audit log from the server with the filters entered in the audit log popup and updates the UI.
+ * The date filters cover whole days in the admin's local time.
+ * @async
+ * @function fetchAuditLogs
  * @returns {Promise<void>}
  */
-async function updateLogs(communityName) {
-    try {
-        const response = await fetch(`/api/communities/${encodeURIComponent(communityName)}/logs`);
-        if (response.ok) {
-            const logs = await response.json();
-            displayLogs(logs);
-        } else {
-            console.error('Failed to fetch logs:', response.statusText);
-        }
-    } catch (error) {
-        console.error('Error fetching logs:', error);
-    }
+async function fetchAuditLogs() {
+    const params = new URLSearchParams();
+    const user = document.getElementById('auditUserFilter').value.trim();
+    const communityId = document.getElementById('auditCommunityFilter').value;
+    const from = document.getElementById('auditFromFilter').value;
+    const to = document.getElementById('auditToFilter').value;
+
+    if (user) params.set('user', user);
+    if (communityId) params.set('communityId', communityId);
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+    try {
+        const response = await fetch(`/api/audit-logs?${params}`);
+        if (response.ok) {
+            auditLogs = await response.json();
+            renderAuditLogs();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error fetching audit logs:', error);
+    }
+}
+
+/**
+ * Renders the audit log entries in the UI, with the before and after snapshots of each change.
+ * @function renderAuditLogs
+ * @returns {void}
+ */
+function renderAuditLogs() {
+    const auditLogList = document.getElementById('auditLogList');
+    auditLogList.innerHTML = '';
+
+    if (auditLogs.length === 0) {
+        auditLogList.textContent = 'No entries found.';
+        return;
+    }
+
+    auditLogs.forEach(entry => {
+        const community = communities.find(c => c.id === entry.communityId);
+        const entryElement = document.createElement('div');
+        entryElement.className = 'audit-entry';
+
+        const summary = document.createElement('span');
+        summary.textContent = `${entry.actor} – ${entry.action} (${entry.target.type} ${entry.target.id})`;
+        const meta = document.createElement('small');
+        meta.className = 'audit-meta';
+        meta.textContent = [
+            new Date(entry.timestamp).toLocaleString(),
+            entry.communityId ? `Community: ${community ? community.name : entry.communityId}` : null,
+            entry.ip ? `IP: ${entry.ip}` : null
+        ].filter(Boolean).join(' · ');
+        entryElement.append(summary, meta);
+
+        if (entry.before || entry.after) {
+            const details = document.createElement('details');
+            const detailsSummary = document.createElement('summary');
+            detailsSummary.textContent = 'Changes';
+            const snapshot = document.createElement('pre');
+            snapshot.textContent = `Before: ${JSON.stringify(entry.before, null, 2)}\nAfter: ${JSON.stringify(entry.after, null, 2)}`;
+            details.append(detailsSummary, snapshot);
+            entryElement.appendChild(details);
+        }
+
+        auditLogList.appendChild(entryElement);
+    });
+}
+
+/**
+ * Fetches the addresses the logged-in user is a resident of, with their guest passes, and updates the UI.
+ * @async
+ * @function fetchGuestPasses
+ * @returns {Promise<void>}
+ */
+async function fetchGuestPasses() {
+    try {
+        const response = await fetch('/api/guest-passes', {
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            guestPassAddresses = await response.json();
+            renderGuestPasses();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error fetching guest passes:', error);
+    }
+}
+
+/**
+ * Renders the guest passes popup: one section per address of the logged-in user, with its passes and a button to
+ * invite another guest.
+ * @function renderGuestPasses
+ * @returns {void}
+ */
+function renderGuestPasses() {
+    const guestPassesList = document.getElementById('guestPassesList');
+    guestPassesList.innerHTML = '';
+
+    if (guestPassAddresses.length === 0) {
+        guestPassesList.textContent = 'Your account is not linked to a resident of any address. Ask an admin to link it.';
+        return;
+    }
+
+    guestPassAddresses.forEach(address => {
+        const section = document.createElement('div');
+        section.className = 'guest-pass-address';
+        const heading = document.createElement('h3');
+        heading.textContent = `${address.street} (${address.community})`;
+        section.appendChild(heading);
+
+        address.passes.forEach(pass => {
+            const passElement = document.createElement('div');
+            passElement.className = 'user-item guest-pass-item';
+
+            const text = document.createElement('span');
+            text.textContent = `${pass.guest.player} (Code: ${maskCode(pass)})`;
+            const meta = document.createElement('small');
+            meta.className = 'guest-pass-meta';
+            meta.textContent = `${new Date(pass.startsAt).toLocaleString()} – ${new Date(pass.expiresAt).toLocaleString()}, issued by ${pass.issuedBy}`;
+            text.appendChild(meta);
+
+            const controls = document.createElement('div');
+            controls.className = 'user-controls';
+            controls.innerHTML = `<button onclick="revokeGuestPass('${address.communityId}', '${address.addressId}', '${pass.id}')" class="remove-btn" title="Revoke pass">-</button>`;
+
+            passElement.append(text, controls);
+            section.appendChild(passElement);
+        });
+
+        const inviteBtn = document.createElement('button');
+        inviteBtn.className = 'add-btn2';
+        inviteBtn.textContent = 'Invite guest';
+        inviteBtn.addEventListener('click', () => createGuestPass(address.communityId, address.addressId));
+        section.appendChild(inviteBtn);
+
+        guestPassesList.appendChild(section);
+    });
+}
+
+/**
+ * Invites a guest to an address by prompting for the guest's Roblox username and the time window of the visit.
+ * The server generates the pass, which is shown once so it can be passed on to the guest.
+ * @async
+ * @function createGuestPass
+ * @param {string} communityId - The ID of the community.
+ * @param {string} addressId - The ID of the address.
+ * @returns {Promise<void>}
+ */
+async function createGuestPass(communityId, addressId) {
+    const player = prompt('Enter the Roblox username of your guest:');
+    if (!player || player.trim() === '') return;
+    const playerId = prompt('Enter the Roblox player ID of your guest (optional):');
+    if (playerId === null) return;
+    const startsAtInput = prompt('Enter start date and time (YYYY-MM-DD HH:MM, leave empty to start now):');
+    if (startsAtInput === null) return;
+    const expiresAtInput = prompt('Enter end date and time (YYYY-MM-DD HH:MM):');
+    if (!expiresAtInput) return;
+
+    const startsAt = startsAtInput.trim() === '' ? new Date() : new Date(startsAtInput);
+    const expiresAt = new Date(expiresAtInput);
+    if (isNaN(startsAt.getTime()) || isNaN(expiresAt.getTime())) {
+        alert('Please enter valid dates.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/communities/${communityId}/addresses/${addressId}/guest-passes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                player: player.trim(),
+                playerId: playerId.trim() || null,
+                startsAt: startsAt.toISOString(),
+                expiresAt: expiresAt.toISOString()
+            })
+        });
+
+        if (response.ok) {
+            const pass = await response.json();
+            prompt(`Copy the guest pass for ${pass.guest.player} now. It will not be shown again:`, pass.code);
+            fetchGuestPasses();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error creating guest pass:', error);
+        alert('An error occurred while creating the guest pass. Please try again.');
+    }
+}
+
+/**
+ * Revokes a guest pass after user confirmation.
+ * @async
+ * @function revokeGuestPass
+ * @param {string} communityId - The ID of the community.
+ * @param {string} addressId - The ID of the address.
+ * @param {string} passId - The ID of the guest pass.
+ * @returns {Promise<void>}
+ */
+async function revokeGuestPass(communityId, addressId, passId) {
+    if (!confirm('Are you sure you want to revoke this guest pass?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/communities/${communityId}/addresses/${addressId}/guest-passes/${passId}`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        if (response.ok || response.status === 404) {
+            fetchGuestPasses();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error revoking guest pass:', error);
+    }
+}
+
+/**
+ * Fetches the two-factor authentication status of the logged-in user and renders it in the two-factor popup.
+ * @async
+ * @function fetchTwoFactor
+ * @returns {Promise<void>}
+ */
+async function fetchTwoFactor() {
+    try {
+        const response = await fetch('/api/two-factor', {
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            twoFactorStatus = await response.json();
+            renderTwoFactor();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error fetching two-factor authentication:', error);
+    }
+}
+
+/**
+ * Renders the two-factor popup: whether two-factor authentication is on, with buttons to set it up, replace the
+ * recovery codes or turn it off. Users whose role requires it cannot turn it off.
+ * @function renderTwoFactor
+ * @returns {void}
+ */
+function renderTwoFactor() {
+    const twoFactorContent = document.getElementById('twoFactorContent');
+    twoFactorContent.innerHTML = '';
+
+    const status = document.createElement('p');
+    const buttons = document.createElement('div');
+    buttons.className = 'button-group';
+
+    if (!twoFactorStatus.enabled) {
+        status.textContent = 'Two-factor authentication is off. Turn it on to require a code from an authenticator app when you log in.';
+        const setupBtn = document.createElement('button');
+        setupBtn.className = 'add-btn2';
+        setupBtn.textContent = 'Set up';
+        setupBtn.addEventListener('click', setupTwoFactor);
+        buttons.appendChild(setupBtn);
+    } else {
+        status.textContent = `Two-factor authentication is on. ${twoFactorStatus.recoveryCodesLeft} recovery code(s) left.`;
+        const recoveryBtn = document.createElement('button');
+        recoveryBtn.className = 'add-btn2';
+        recoveryBtn.textContent = 'New recovery codes';
+        recoveryBtn.addEventListener('click', replaceRecoveryCodes);
+        buttons.appendChild(recoveryBtn);
+        if (!twoFactorStatus.required) {
+            const disableBtn = document.createElement('button');
+            disableBtn.className = 'remove-btn-user';
+            disableBtn.textContent = 'Turn off';
+            disableBtn.addEventListener('click', disableTwoFactor);
+            buttons.appendChild(disableBtn);
+        }
+    }
+
+    twoFactorContent.append(status, buttons);
+}
+
+/**
+ * Starts setting up two-factor authentication: shows the QR code and key of a new secret for the authenticator app,
+ * with a field for the first code, which turns it on.
+ * @async
+ * @function setupTwoFactor
+ * @returns {Promise<void>}
+ */
+async function setupTwoFactor() {
+    try {
+        const response = await fetch('/api/two-factor/setup', {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+            return;
+        }
+
+        const setup = await response.json();
+        const twoFactorContent = document.getElementById('twoFactorContent');
+        twoFactorContent.innerHTML = '';
+
+        const instructions = document.createElement('p');
+        instructions.textContent = 'Scan the QR code with your authenticator app, or enter the key below, then enter the code the app shows.';
+        const qrCode = document.createElement('img');
+        qrCode.className = 'two-factor-qr';
+        qrCode.src = setup.qrCode;
+        qrCode.alt = 'QR code for your authenticator app';
+        const secret = document.createElement('code');
+        secret.className = 'two-factor-secret';
+        secret.textContent = setup.secret;
+        const codeInput = document.createElement('input');
+        codeInput.type = 'text';
+        codeInput.placeholder = '123456';
+        codeInput.autocomplete = 'one-time-code';
+        const enableBtn = document.createElement('button');
+        enableBtn.className = 'add-btn2';
+        enableBtn.textContent = 'Turn on';
+        enableBtn.addEventListener('click', () => enableTwoFactor(codeInput.value));
+
+        twoFactorContent.append(instructions, qrCode, secret, codeInput, enableBtn);
+    } catch (error) {
+        console.error('Error setting up two-factor authentication:', error);
+    }
+}
+
+/**
+ * Turns on two-factor authentication with the first code of the authenticator app and shows the recovery codes.
+ * @async
+ * @function enableTwoFactor
+ * @param {string} code - The code shown by the authenticator app.
+ * @returns {Promise<void>}
+ */
+async function enableTwoFactor(code) {
+    try {
+        const response = await fetch('/api/two-factor/enable', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include',
+            body: JSON.stringify({ code: code.trim() })
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            renderRecoveryCodes(data.recoveryCodes);
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+    }
+}
+
+/**
+ * Shows new recovery codes in the two-factor popup, which the server does not show again.
+ * @function renderRecoveryCodes
+ * @param {string[]} recoveryCodes - The recovery codes.
+ * @returns {void}
+ */
+function renderRecoveryCodes(recoveryCodes) {
+    const twoFactorContent = document.getElementById('twoFactorContent');
+    twoFactorContent.innerHTML = '';
+
+    const instructions = document.createElement('p');
+    instructions.textContent = 'Save these recovery codes somewhere safe. Each one logs you in once if you lose your authenticator app. They will not be shown again.';
+    const list = document.createElement('pre');
+    list.className = 'recovery-codes';
+    list.textContent = recoveryCodes.join('\n');
+    const doneBtn = document.createElement('button');
+    doneBtn.className = 'add-btn2';
+    doneBtn.textContent = 'Done';
+    doneBtn.addEventListener('click', fetchTwoFactor);
+
+    twoFactorContent.append(instructions, list, doneBtn);
+}
+
+/**
+ * Prompts for a code of the authenticator app or a recovery code, to confirm a change to two-factor authentication.
+ * @function promptSecondFactor
+ * @returns {Object|null} The request body with `code` or `recoveryCode`, or null if the prompt was cancelled.
+ */
+function promptSecondFactor() {
+    const value = prompt('Enter the code from your authenticator app or one of your recovery codes:');
+    if (!value || value.trim() === '') return null;
+    return /^\d{6}$/.test(value.trim()) ? { code: value.trim() } : { recoveryCode: value.trim() };
+}
+
+/**
+ * Replaces the recovery codes of the logged-in user and shows the new ones.
+ * @async
+ * @function replaceRecoveryCodes
+ * @returns {Promise<void>}
+ */
+async function replaceRecoveryCodes() {
+    const body = promptSecondFactor();
+    if (!body) return;
+
+    try {
+        const response = await fetch('/api/two-factor/recovery-codes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            renderRecoveryCodes(data.recoveryCodes);
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error replacing recovery codes:', error);
+    }
+}
+
+/**
+ * Turns off two-factor authentication for the logged-in user after confirmation.
+ * @async
+ * @function disableTwoFactor
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor() {
+    if (!confirm('Are you sure you want to turn off two-factor authentication?')) {
+        return;
+    }
+    const body = promptSecondFactor();
+    if (!body) return;
+
+    try {
+        const response = await fetch('/api/two-factor/disable', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            fetchTwoFactor();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+    }
+}
+
+/**
+ * Resets the two-factor authentication of a user who lost their authenticator app and recovery codes, after
+ * confirmation. Only the superuser may do this.
+ * @async
+ * @function resetTwoFactor
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ */
+async function resetTwoFactor(userId) {
+    if (!confirm('Reset the two-factor authentication of this user? Their authenticator app and recovery codes will stop working.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/users/${userId}/two-factor`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            fetchUsers();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+    }
+}
+
+/**
+ * Renders the ban list of the selected community in the UI, newest first.
+ * Expired bans are shown struck through; they no longer block the player.
+ * @function renderBans
+ * @returns {void}
+ */
+function renderBans() {
+    const bansList = document.getElementById('bansList');
+    bansList.innerHTML = '';
+    const bans = [...(selectedCommunity.bans || [])].reverse();
+
+    if (bans.length === 0) {
+        bansList.textContent = 'No players are banned.';
+        return;
+    }
+
+    bans.forEach(ban => {
+        const expired = ban.expiresAt && new Date(ban.expiresAt) <= new Date();
+        const banElement = document.createElement('div');
+        banElement.className = `user-item ban-item${expired ? ' expired' : ''}`;
+
+        const text = document.createElement('span');
+        text.textContent = `${ban.playerId}: ${ban.reason}`;
+        const meta = document.createElement('small');
+        meta.className = 'ban-meta';
+        const until = ban.expiresAt ? `until ${new Date(ban.expiresAt).toLocaleString()}` : 'permanently';
+        meta.textContent = `Banned ${until} by ${ban.addedBy} on ${new Date(ban.createdAt).toLocaleString()}`;
+        text.appendChild(meta);
+
+        const controls = document.createElement('div');
+        controls.className = 'user-controls';
+        controls.innerHTML = `<button onclick="removeBan('${ban.id}')" class="remove-btn" title="Lift ban">-</button>`;
+
+        banElement.append(text, controls);
+        bansList.appendChild(banElement);
+    });
+}
+
+/**
+ * Bans a player from the selected community with the details entered in the bans popup.
+ * @async
+ * @function addBan
+ * @returns {Promise<void>}
+ */
+async function addBan() {
+    const playerId = document.getElementById('newBanPlayerId').value.trim();
+    const reason = document.getElementById('newBanReason').value.trim();
+    const expiresAt = document.getElementById('newBanExpiresAt').value;
+    if (!playerId || !reason) {
+        alert('Please enter the player ID and a reason.');
+        return;
+    }
+
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/bans`, {
+            method: 'POST',
+            body: JSON.stringify({ playerId, reason, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null })
+        }, true);
+
+        if (response.ok) {
+            const ban = await response.json();
+            selectedCommunity.bans = selectedCommunity.bans || [];
+            if (!selectedCommunity.bans.some(b => b.id === ban.id)) {
+                selectedCommunity.bans.push(ban);
+            }
+            renderBans();
+            document.getElementById('newBanPlayerId').value = '';
+            document.getElementById('newBanReason').value = '';
+            document.getElementById('newBanExpiresAt').value = '';
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error banning player:', error);
+        alert('An error occurred while banning the player. Please try again.');
+    }
+}
+
+/**
+ * Lifts a ban of the selected community after user confirmation.
+ * @async
+ * @function removeBan
+ * @param {string} banId - The ID of the ban.
+ * @returns {Promise<void>}
+ */
+async function removeBan(banId) {
+    if (!confirm('Are you sure you want to lift this ban?')) {
+        return;
+    }
+
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/bans/${banId}`, {
+            method: 'DELETE'
+        }, true);
+
+        if (response.ok || response.status === 404) {
+            selectedCommunity.bans = (selectedCommunity.bans || []).filter(b => b.id !== banId);
+            renderBans();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error lifting ban:', error);
+    }
+}
+
+/**
+ * Renders the list of API keys in the UI.
+ * Revoked keys are shown struck through and cannot be rotated or revoked again.
+ * @function renderApiKeys
+ * @returns {void}
+ */
+function renderApiKeys() {
+    const apiKeysList = document.getElementById('apiKeysList');
+    apiKeysList.innerHTML = '';
+    apiKeys.forEach(apiKey => {
+        const keyElement = document.createElement('div');
+        keyElement.className = `user-item api-key-item${apiKey.revokedAt ? ' revoked' : ''}`;
+        const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'never';
+        keyElement.innerHTML = `
+            <span>
+                <span class="api-key-label"></span>
+                <small class="api-key-meta"></small>
+            </span>
+            ${apiKey.revokedAt ? '' : `
+            <div class="user-controls">
+                <button onclick="rotateApiKey('${apiKey.id}')" class="role-btn" title="Rotate key">🔄</button>
+                <button onclick="revokeApiKey('${apiKey.id}')" class="remove-btn" title="Revoke key">-</button>
+            </div>`}
+        `;
+        // Labels and usernames are entered by users, so they are set as text
+        keyElement.querySelector('.api-key-label').textContent = `${apiKey.label} (${apiKey.prefix}…)`;
+        keyElement.querySelector('.api-key-meta').textContent =
+            `Created ${new Date(apiKey.createdAt).toLocaleString()} by ${apiKey.createdBy}, last used ${lastUsed}`;
+        apiKeysList.appendChild(keyElement);
+    });
+}
+
+/**
+ * Shows a newly issued API key and its request signing secret to the admin.
+ * Both are only returned once by the server.
+ * @param {string} key - The plaintext API key.
+ * @param {string} signingSecret - The secret used to sign requests made with the key.
+ */
+function showNewApiKey(key, signingSecret) {
+    prompt('Copy this API key now. It will not be shown again:', key);
+    prompt('Copy the request signing secret for this key now. It will not be shown again:', signingSecret);
+}
+
+/**
+ * Creates a new API key for the selected community with the label entered in the form.
+ * @async
+ * @function addApiKey
+ * @returns {Promise<void>}
+ */
+async function addApiKey() {
+    const label = document.getElementById('newApiKeyLabel').value.trim();
+    if (!label) {
+        alert('Please enter a label for the API key.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/communities/${selectedCommunity.id}/api-keys`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            body: JSON.stringify({ label }),
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            document.getElementById('newApiKeyLabel').value = '';
+            showNewApiKey(data.key, data.signingSecret);
+            fetchApiKeys();
+        } else {
+            alert(data.error || 'Failed to create API key');
+        }
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        alert('An error occurred while creating the API key');
+    }
+}
+
+/**
+ * Rotates an API key: the old key is revoked and a new key with the same label is issued.
+ * @async
+ * @function rotateApiKey
+ * @param {string} keyId - The ID of the API key to rotate.
+ * @returns {Promise<void>}
+ */
+async function rotateApiKey(keyId) {
+    if (!confirm('Rotate this API key? Game servers using the old key will stop working.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/communities/${selectedCommunity.id}/api-keys/${keyId}/rotate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            showNewApiKey(data.key, data.signingSecret);
+            fetchApiKeys();
+        } else {
+            alert(data.error || 'Failed to rotate API key');
+        }
+    } catch (error) {
+        console.error('Error rotating API key:', error);
+        alert('An error occurred while rotating the API key');
+    }
+}
+
+/**
+ * Revokes an API key after user confirmation.
+ * @async
+ * @function revokeApiKey
+ * @param {string} keyId - The ID of the API key to revoke.
+ * @returns {Promise<void>}
+ */
+async function revokeApiKey(keyId) {
+    if (!confirm('Revoke this API key? Game servers using it will stop working.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/communities/${selectedCommunity.id}/api-keys/${keyId}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            fetchApiKeys();
+        } else {
+            const errorData = await response.json();
+            alert(errorData.error || 'Failed to revoke API key');
+        }
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        alert('An error occurred while revoking the API key');
+    }
+}
+
+/**
+ * Fetches and updates logs for a specific community.
+ * @async
+ * @function updateLogs
+ * @param {string} communityName - The name of the community to update logs for.
+ * @returns {Promise<void>}
+ */
+async function updateLogs(communityName) {
+    const filters = logFilters;
+    try {
+        const response = await fetch(`/api/communities/${encodeURIComponent(communityName)}/logs?${buildLogQuery(null)}`);
+        if (response.ok) {
+            const data = await response.json();
+            // Ignore the response if the filters were changed while it was loading
+            if (filters !== logFilters) return;
+
+            if (logEntries.length === 0) {
+                logEntries = data.logs;
+                logNextCursor = data.nextCursor;
+                displayLogs(logEntries);
+            } else if (isLogPaused) {
+                const knownIds = new Set([...logEntries, ...pausedLogEntries].map(log => log.id));
+                pausedLogEntries = [...data.logs.filter(log => !knownIds.has(log.id)), ...pausedLogEntries];
+                setLogPaused(true);
+            } else {
+                prependLogEntries(data.logs);
+            }
+        } else {
+            console.error('Failed to fetch logs:', response.statusText);
+        }
+    } catch (error) {
+        console.error('Error fetching logs:', error);
+    }
+}
+
+/**
+ * Fetches the next, older page of logs for a community and appends it to the log popup.
+ * @async
+ * @param {string} communityName - The name of the community to fetch logs for.
+ * @returns {Promise<void>}
+ */
+async function loadMoreLogs(communityName) {
+    if (!logNextCursor || isLoadingLogs) return;
+
+    isLoadingLogs = true;
+    const filters = logFilters;
+    try {
+        const response = await fetch(`/api/communities/${encodeURIComponent(communityName)}/logs?${buildLogQuery(logNextCursor)}`);
+        if (response.ok) {
+            const data = await response.json();
+            if (filters !== logFilters) return;
+
+            const knownIds = new Set(logEntries.map(log => log.id));
+            logEntries = [...logEntries, ...data.logs.filter(log => !knownIds.has(log.id))];
+            logNextCursor = data.nextCursor;
+            displayLogs(logEntries);
+        } else {
+            console.error('Failed to fetch logs:', response.statusText);
+        }
+    } catch (error) {
+        console.error('Error fetching logs:', error);
+    } finally {
+        isLoadingLogs = false;
+    }
+}
+
+/**
+ * Builds the query string for the logs route from the filters applied to the log popup.
+ * @param {string|null} cursor - The cursor of the page to fetch, or null for the newest entries.
+ * @returns {string} The query string.
+ */
+function buildLogQuery(cursor) {
+    const params = new URLSearchParams();
+    if (logFilters.player) params.set('player', logFilters.player);
+    if (logFilters.action) params.set('action', logFilters.action);
+    if (logFilters.gateId) params.set('gate', logFilters.gateId);
+    if (logFilters.from) params.set('from', logFilters.from);
+    if (logFilters.to) params.set('to', logFilters.to);
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+}
+
+/**
+ * Downloads the logs of the selected community that match the filters applied to the log popup,
+ * in the format chosen next to the "Export" button.
+ * @function exportLogs
+ * @returns {void}
+ */
+function exportLogs() {
+    const params = new URLSearchParams(buildLogQuery(null));
+    params.set('format', document.getElementById('logExportFormat').value);
+
+    const link = document.createElement('a');
+    link.href = `/api/communities/${encodeURIComponent(selectedCommunity.name)}/logs/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+/**
+ * Fills the gate filter of the log popup with the gates of the selected community, keeping the gate filtered by.
+ * @function renderLogGateFilter
+ * @returns {void}
+ */
+function renderLogGateFilter() {
+    const gateFilter = document.getElementById('logGateFilter');
+    const gates = (selectedCommunity && selectedCommunity.gates) || [];
+    gateFilter.innerHTML = '<option value="">All gates</option>';
+    gates.forEach(gate => {
+        const option = document.createElement('option');
+        option.value = gate.id;
+        option.textContent = gate.name;
+        gateFilter.appendChild(option);
+    });
+    gateFilter.value = gates.some(gate => gate.id === logFilters.gateId) ? logFilters.gateId : '';
+    gateFilter.style.display = gates.length > 0 ? 'inline-block' : 'none';
+}
+
+/**
+ * Applies the filters entered in the log popup and reloads the logs of the selected community from the newest entry.
+ * The date filters cover whole days in the user's local time.
+ */
+function applyLogFilters() {
+    const from = document.getElementById('logFromFilter').value;
+    const to = document.getElementById('logToFilter').value;
+
+    logFilters = {
+        player: document.getElementById('logPlayerFilter').value.trim(),
+        action: document.getElementById('logActionFilter').value.trim(),
+        gateId: document.getElementById('logGateFilter').value,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : ''
+    };
+    logEntries = [];
+    logNextCursor = null;
+    pausedLogEntries = pausedLogEntries.filter(matchesLogFilters);
+    setLogPaused(isLogPaused);
+    document.getElementById('logContent').scrollTop = 0;
+    updateLogs(selectedCommunity.name);
 }
 
 /**
@@ -542,11 +1906,16 @@ function displayLogs(logs) {
         const logEntry = document.createElement('div');
         logEntry.className = 'log-entry';
         const timestamp = new Date(log.timestamp).toLocaleString();
+        const gate = log.gateId ? ` · ${formatGates([log.gateId])}` : '';
         logEntry.innerHTML = `
-            <span class="timestamp">${timestamp}</span><br>
-            <span class="player">${log.player}</span>: 
-            <span class="action">${log.action}</span>
+            <span class="timestamp"></span><br>
+            <span class="player"></span>: 
+            <span class="action"></span>
         `;
+        // Player names and actions can come from guest passes entered by residents, so they are set as text
+        logEntry.querySelector('.timestamp').textContent = `${timestamp}${gate}`;
+        logEntry.querySelector('.player').textContent = log.player;
+        logEntry.querySelector('.action').textContent = log.action;
         logContent.appendChild(logEntry);
     });
 }
@@ -566,6 +1935,7 @@ function renderCommunities() {
         li.innerHTML = `
             ${isAdmin ? `<button class="remove-btn" onclick="removeCommunity('${community.id}')">-</button>` : ''}
             <span>${community.name}</span>
+            ${communitiesWithNewLogs.has(community.name) ? '<span class="new-log-indicator" title="New log entries"></span>' : ''}
         `;
         li.onclick = (event) => {
             if (event.target !== li.querySelector('.remove-btn')) {
@@ -592,15 +1962,246 @@ function selectCommunity(communityId) {
     document.getElementById('communityName').textContent = selectedCommunity.name;
     renderCommunities();
     renderAllowedUsers();
+    renderLockdown();
+    renderGates();
+    const showLogsBtn = document.getElementById('showLogsBtn');
+    showLogsBtn.style.display = can('logs.view') ? '' : 'none';
+}
+
+/**
+ * Checks whether the user's role in the selected community allows an action. Admins may do everything; for other
+ * users the server sends their permissions with each community.
+ * @function can
+ * @param {string} permission - The permission, e.g. 'codes.manage'.
+ * @returns {boolean} True if the user has the permission.
+ */
+function can(permission) {
+    return isAdmin || Boolean(selectedCommunity && (selectedCommunity.permissions || []).includes(permission));
+}
+
+/**
+ * Shows the lockdown state of the selected community on the toggle next to its name.
+ * Only admins can start or end a lockdown; other users just see that one is active.
+ * @function renderLockdown
+ * @returns {void}
+ */
+function renderLockdown() {
+    const lockdownBtn = document.getElementById('lockdownBtn');
+    const lockdown = selectedCommunity && selectedCommunity.lockdown;
+    const active = Boolean(lockdown) && (!lockdown.expiresAt || new Date(lockdown.expiresAt) > new Date());
+
+    lockdownBtn.style.display = selectedCommunity && (isAdmin || active) ? 'inline-block' : 'none';
+    lockdownBtn.disabled = !isAdmin;
+    lockdownBtn.classList.toggle('active', active);
+    if (active) {
+        const until = lockdown.expiresAt ? ` until ${new Date(lockdown.expiresAt).toLocaleString()}` : '';
+        lockdownBtn.textContent = `🚨 LOCKDOWN ACTIVE${until}`;
+        lockdownBtn.title = [lockdown.reason, `Started by ${lockdown.startedBy}`].filter(Boolean).join(' · ');
+    } else {
+        lockdownBtn.textContent = '🔒 Lockdown';
+        lockdownBtn.title = 'Close all gates of this community';
+    }
+}
+
+/**
+ * Starts a lockdown of the selected community, prompting for a reason, a whitelist and a duration, or ends the
+ * active one after confirmation.
+ * @async
+ * @function toggleLockdown
+ * @returns {Promise<void>}
+ */
+async function toggleLockdown() {
+    if (!selectedCommunity) return;
+    const lockdownBtn = document.getElementById('lockdownBtn');
+    let body;
+
+    if (lockdownBtn.classList.contains('active')) {
+        if (!confirm(`End the lockdown of ${selectedCommunity.name}?`)) return;
+        body = { active: false };
+    } else {
+        const reason = prompt(`Lock down all gates of ${selectedCommunity.name}. Reason:`);
+        if (reason === null) return;
+        const whitelistInput = prompt('Players who still get in (usernames or player IDs, comma-separated; leave empty for nobody):');
+        if (whitelistInput === null) return;
+        const durationInput = prompt('End the lockdown automatically after how many minutes? (leave empty to end it manually)');
+        if (durationInput === null) return;
+        const minutes = durationInput.trim() === '' ? null : Number(durationInput);
+        if (minutes !== null && !(minutes > 0)) {
+            alert('The duration must be a positive number of minutes.');
+            return;
+        }
+        body = {
+            active: true,
+            reason,
+            whitelist: whitelistInput.split(',').map(player => player.trim()).filter(Boolean),
+            expiresAt: minutes ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null
+        };
+    }
+
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/lockdown`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        }, true);
+
+        if (response.ok) {
+            const data = await response.json();
+            selectedCommunity.lockdown = data.lockdown;
+            renderLockdown();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error updating lockdown:', error);
+        alert('An error occurred while updating the lockdown. Please try again.');
+    }
+}
+
+/**
+ * Renders the gates of the selected community. Only admins can add or remove gates; other users only see the list
+ * once a gate exists.
+ * @function renderGates
+ * @returns {void}
+ */
+function renderGates() {
+    const gatesSection = document.getElementById('gatesSection');
+    const gateList = document.getElementById('gateList');
+    const gates = (selectedCommunity && selectedCommunity.gates) || [];
+    gatesSection.style.display = selectedCommunity && (isAdmin || gates.length > 0) ? 'block' : 'none';
+    document.getElementById('addGateBtn').style.display = isAdmin ? 'block' : 'none';
+    gateList.innerHTML = '';
+    gates.forEach(gate => {
+        const li = document.createElement('li');
+        if (isAdmin) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = '-';
+            removeBtn.addEventListener('click', () => removeGate(gate.id));
+            li.appendChild(removeBtn);
+        }
+        // Gate names are shown to every user of the community, so they are set as text
+        const name = document.createElement('span');
+        name.textContent = gate.name;
+        li.appendChild(name);
+        gateList.appendChild(li);
+    });
+}
+
+/**
+ * Adds a gate to the selected community by prompting the user for its name and sending a POST request to the server.
+ * @async
+ * @function addGate
+ * @returns {Promise<void>}
+ */
+async function addGate() {
+    if (!selectedCommunity) return;
+    const name = prompt('Enter gate name, e.g. "North gate":');
+    if (!name || name.trim() === '') return;
+
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/gates`, {
+            method: 'POST',
+            body: JSON.stringify({ name: name.trim() })
+        }, true);
+
+        if (response.ok) {
+            const gate = await response.json();
+            if (!selectedCommunity.gates) {
+                selectedCommunity.gates = [];
+            }
+            if (!selectedCommunity.gates.some(g => g.id === gate.id)) {
+                selectedCommunity.gates.push(gate);
+            }
+            renderGates();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error adding gate:', error);
+    }
+}
+
+/**
+ * Removes a gate from the selected community after user confirmation and sends a DELETE request to the server.
+ * @async
+ * @function removeGate
+ * @param {string} gateId - The ID of the gate to remove.
+ * @returns {Promise<void>}
+ */
+async function removeGate(gateId) {
+    if (!selectedCommunity) return;
+    if (!confirm('Are you sure you want to remove this gate?')) return;
+
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/gates/${gateId}`, {
+            method: 'DELETE'
+        }, true);
+
+        if (response.ok) {
+            selectedCommunity.gates = (selectedCommunity.gates || []).filter(gate => gate.id !== gateId);
+            renderGates();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error removing gate:', error);
+    }
+}
+
+/**
+ * Asks which gates of the selected community a resident or code is limited to. Communities without gates are not
+ * asked about.
+ * @function promptGateIds
+ * @param {string} subject - What is being limited, e.g. "this code".
+ * @returns {string[]|null} The gate IDs (empty for every gate), or null if the user cancelled or named an unknown gate.
+ */
+function promptGateIds(subject) {
+    const gates = selectedCommunity.gates || [];
+    if (gates.length === 0) return [];
+
+    const input = prompt(`Limit ${subject} to gates (${gates.map(gate => gate.name).join(', ')}; comma-separated, leave empty for all gates):`);
+    if (input === null) return null;
+
+    const gateIds = [];
+    for (const name of input.split(',').map(n => n.trim()).filter(Boolean)) {
+        const gate = gates.find(g => g.name.toLowerCase() === name.toLowerCase());
+        if (!gate) {
+            alert(`There is no gate named "${name}".`);
+            return null;
+        }
+        gateIds.push(gate.id);
+    }
+    return gateIds;
+}
+
+/**
+ * Formats the gates a resident, code or log entry belongs to for display.
+ * @function formatGates
+ * @param {string[]} gateIds - The gate IDs.
+ * @returns {string} The gate names, separated by commas.
+ */
+function formatGates(gateIds) {
+    const gates = (selectedCommunity && selectedCommunity.gates) || [];
+    return gateIds.map(id => {
+        const gate = gates.find(g => g.id === id);
+        return gate ? gate.name : 'Removed gate';
+    }).join(', ');
 }
 
 /**
  * Renders the list of addresses for the selected community in the UI.
+ * Buttons are only shown for what the user's role in the community allows; residents only get the addresses they are
+ * linked to.
  * @function renderAddresses
  * @returns {void}
  */
 function renderAddresses() {
     const addressList = document.getElementById('addressList');
+    // Keep expanded addresses open when the list is re-rendered after a change
+    const openDetailIds = Array.from(addressList.querySelectorAll('.address-details.show')).map(details => details.id);
     addressList.innerHTML = '';
     if (selectedCommunity && selectedCommunity.addresses) {
         selectedCommunity.addresses.forEach(address => {
@@ -616,27 +2217,33 @@ function renderAddresses() {
 
             li.innerHTML = `
                 <div class="address-main">
-                    <button class="remove-btn" onclick="removeAddress('${address.id}')">-</button>
-                    <span class="address-text" onclick="toggleAddressDetails('${address.id}')">${address.street}</span>
+                    ${can('addresses.manage') ? `<button class="remove-btn" onclick="removeAddress('${address.id}')">-</button>` : ''}
+                    <span class="address-text" onclick="toggleAddressDetails('${address.id}')"></span>
                 </div>
                 <div class="address-details" id="details-${address.id}">
                     <div class="user-ids">
                         <h4>User IDs:</h4>
                         <ul class="user-id-list"></ul>
-                        <button class="add-btn" onclick="addUserId('${address.id}')">+</button>
+                        ${can('residents.manage') ? `<button class="add-btn" onclick="addUserId('${address.id}')">+</button>` : ''}
                     </div>
                     <div class="codes">
                         <h4>Codes:</h4>
                         <ul class="code-list"></ul>
-                        <button class="add-btn" onclick="addCode('${address.id}')">+</button>
+                        ${can('codes.manage') ? `<button class="add-btn" onclick="addCode('${address.id}')">+</button>` : ''}
                     </div>
                 </div>
             `;
+            li.querySelector('.address-text').textContent = address.street;
             addressList.appendChild(li);
             renderUserIds(address);
             renderCodes(address);
         });
     }
+    openDetailIds.forEach(id => {
+        const details = document.getElementById(id);
+        if (details) details.classList.add('show');
+    });
+    document.getElementById('addAddressBtn').style.display = selectedCommunity && can('addresses.manage') ? 'block' : 'none';
 }
 
 /**
@@ -662,15 +2269,34 @@ function renderUserIds(address) {
     if (address.people) {
         address.people.forEach(person => {
             const li = document.createElement('li');
-            li.innerHTML = `
-                <button class="remove-btn" onclick="removeUserId('${address.id}', '${person.id}')">-</button>
-                <span>${person.username} (Player ID: ${person.playerId})</span>
-            `;
+            const gates = person.gateIds && person.gateIds.length > 0 ? `, Gates: ${formatGates(person.gateIds)}` : '';
+            const account = person.userId ? ', Dashboard account linked' : '';
+            if (can('residents.manage')) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-btn';
+                removeBtn.textContent = '-';
+                removeBtn.addEventListener('click', () => removeUserId(address.id, person.id));
+                li.appendChild(removeBtn);
+            }
+            // Residents enter names themselves, so they are set as text
+            const text = document.createElement('span');
+            text.textContent = `${person.username} (Player ID: ${person.playerId}${gates}${account})`;
+            li.appendChild(text);
             userIdList.appendChild(li);
         });
     }
 }
 
+/**
+ * Masks a code for display. Only a hash of each code is stored, plus its last two characters for longer codes.
+ * @function maskCode
+ * @param {Object} code - The code object.
+ * @returns {string} The masked code, e.g. "••••42".
+ */
+function maskCode(code) {
+    return code.codeHint ? `••••${code.codeHint}` : '••••••';
+}
+
 /**
  * Renders the list of codes for a given address in the UI.
  * @function renderCodes
@@ -683,15 +2309,84 @@ function renderCodes(address) {
     if (address.codes) {
         address.codes.forEach(code => {
             const li = document.createElement('li');
-            li.innerHTML = `
-                <button class="remove-btn" onclick="removeCode('${address.id}', '${code.id}')">-</button>
-                <span>${code.description} (Code: ${code.code}, Expires: ${new Date(code.expiresAt).toLocaleString()})</span>
-            `;
+            const uses = typeof code.maxUses === 'number' ? `, Uses left: ${code.remainingUses}/${code.maxUses}` : '';
+            const starts = code.startsAt ? `, Starts: ${new Date(code.startsAt).toLocaleString()}` : '';
+            const schedule = code.schedule && code.schedule.length > 0
+                ? `, Schedule: ${formatSchedule(code.schedule)} (${selectedCommunity.timezone || 'UTC'})`
+                : '';
+            const players = code.allowedUsers && code.allowedUsers.length > 0 ? `, Only: ${code.allowedUsers.join(', ')}` : '';
+            const gates = code.gateIds && code.gateIds.length > 0 ? `, Gates: ${formatGates(code.gateIds)}` : '';
+            const guest = code.guest ? `🎟️ Guest: ${code.guest.player}, issued by ${code.issuedBy}, ` : '';
+            if (can('codes.manage')) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-btn';
+                removeBtn.textContent = '-';
+                removeBtn.addEventListener('click', () => removeCode(address.id, code.id));
+                const editBtn = document.createElement('button');
+                editBtn.className = 'edit-btn';
+                editBtn.title = 'Restrict to players';
+                editBtn.textContent = '👥';
+                editBtn.addEventListener('click', () => editCodePlayers(address.id, code.id));
+                li.append(removeBtn, editBtn);
+            }
+            // Descriptions, player names and guest details are entered by residents, so they are set as text
+            const text = document.createElement('span');
+            text.textContent = `${code.description} (${guest}Code: ${maskCode(code)}${starts}, Expires: ${new Date(code.expiresAt).toLocaleString()}${uses}${schedule}${players}${gates})`;
+            li.appendChild(text);
             codeList.appendChild(li);
         });
     }
 }
 
+/**
+ * Days of the week as used in code schedules.
+ * @type {string[]}
+ */
+const scheduleDays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Reads a weekly schedule typed into the code form, e.g. "Mon,Wed 09:00-12:00; Mon-Fri 14:00-16:00".
+ * @function parseScheduleInput
+ * @param {string} input - The schedule as typed by the user.
+ * @returns {Array<{days: string[], start: string, end: string}>|null} The schedule windows (empty for any time), or
+ * null if the input could not be read.
+ */
+function parseScheduleInput(input) {
+    const windows = [];
+    for (const part of input.split(';').map(p => p.trim()).filter(Boolean)) {
+        const match = /^([a-z,\-\s]+?)\s+(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/i.exec(part);
+        if (!match) return null;
+
+        const days = [];
+        for (const item of match[1].split(',').map(d => d.trim().toLowerCase())) {
+            const [from, to] = item.split('-').map(d => scheduleDays.indexOf(d.trim().slice(0, 3)));
+            if (from === -1 || to === -1) return null;
+            const last = to === undefined ? from : to;
+            // A range may wrap around the end of the week (e.g. Fri-Mon) or cover all of it (e.g. Mon-Sun)
+            let day = from;
+            do {
+                if (!days.includes(scheduleDays[day])) days.push(scheduleDays[day]);
+                day = (day + 1) % 7;
+            } while (day !== (last + 1) % 7);
+        }
+        windows.push({ days, start: match[2], end: match[3] });
+    }
+    return windows;
+}
+
+/**
+ * Formats a weekly schedule for display, e.g. "Mon, Wed 09:00-12:00; Fri 14:00-16:00".
+ * @function formatSchedule
+ * @param {Array<{days: string[], start: string, end: string}>} schedule - The schedule windows of a code.
+ * @returns {string} The formatted schedule.
+ */
+function formatSchedule(schedule) {
+    return schedule.map(slot => {
+        const days = slot.days.map(day => day.charAt(0).toUpperCase() + day.slice(1)).join(', ');
+        return `${days} ${slot.start}-${slot.end}`;
+    }).join('; ');
+}
+
 /**
  * Adds a new community by prompting the user for a name and sending a POST request to the server.
  * @async
@@ -729,7 +2424,10 @@ async function addCommunity() {
             }
 
             if (data.community) {
-                communities.push(data.community);
+                // The community may already have arrived through the event stream
+                if (!communities.some(c => c.id === data.community.id)) {
+                    communities.push(data.community);
+                }
                 renderCommunities();
                 selectCommunity(data.community.id);
                 updateAddCommunityButtonVisibility();
@@ -770,24 +2468,7 @@ async function removeCommunity(communityId) {
             });
 
             if (response.ok) {
-                communities = communities.filter(c => c.id !== communityId);
-                renderCommunities();
-
-                const addAddressBtn = document.getElementById('addAddressBtn');
-                const addressesHeader = document.querySelector('main h3');
-
-                if (communities.length > 0) {
-                    selectCommunity(communities[0].id);
-                    addAddressBtn.style.display = 'block';
-                    addressesHeader.style.display = 'block';
-                } else {
-                    selectedCommunity = null;
-                    renderAddresses();
-                    addAddressBtn.style.display = 'none';
-                    addressesHeader.style.display = 'none';
-                    document.getElementById('communityName').textContent = 'Please create a Community';
-                }
-                updateAddCommunityButtonVisibility();
+                removeCommunityState(communityId);
             } else {
                 const errorData = await response.json();
                 throw new Error(errorData.error || 'Failed to remove community');
@@ -831,6 +2512,65 @@ function updateAddCommunityButtonVisibility() {
     }
 }
 
+/**
+ * Replaces the local copy of a community with its current state from the server and re-renders it if it is selected.
+ * @function applyCommunityState
+ * @param {Object} community - The current community data from the server.
+ * @returns {void}
+ */
+function applyCommunityState(community) {
+    communities = communities.map(c => (c.id === community.id ? community : c));
+    if (selectedCommunity && selectedCommunity.id === community.id) {
+        selectedCommunity = community;
+        renderAddresses();
+        renderAllowedUsers();
+        renderLockdown();
+        renderGates();
+        if (document.getElementById('bansPopup').style.display === 'block') {
+            renderBans();
+        }
+    }
+}
+
+/**
+ * Sends a change of the selected community to the server, based on the version of the local copy (If-Match header).
+ * If someone else changed the community in the meantime, the server answers with 409 Conflict and its current state,
+ * which replaces the local copy. With reapply, the change is then sent once more on top of the current state.
+ * @async
+ * @function sendCommunityChange
+ * @param {string} url - The URL of the route.
+ * @param {Object} options - The fetch options (method and body).
+ * @param {boolean} [reapply=false] - Whether to send the change again after a conflict.
+ * @returns {Promise<Response>} The response; its status is 409 if the change was not applied because of a conflict.
+ */
+async function sendCommunityChange(url, options, reapply = false) {
+    const community = selectedCommunity;
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken,
+            'If-Match': `"${community.version || 0}"`
+        },
+        credentials: 'include'
+    });
+
+    if (response.status === 409) {
+        const data = await response.clone().json();
+        if (data.community) {
+            applyCommunityState(data.community);
+            return reapply ? sendCommunityChange(url, options) : response;
+        }
+        return response;
+    }
+
+    const etag = response.headers.get('ETag');
+    if (response.ok && etag) {
+        community.version = Number(etag.replace(/"/g, ''));
+    }
+    return response;
+}
+
 /**
  * Adds a new address to the selected community by prompting the user for a street name and sending a POST request to the server.
  * @async
@@ -842,15 +2582,10 @@ async function addAddress() {
     const street = prompt('Enter address:');
     if (street) {
         try {
-            const response = await fetch(`/api/communities/${selectedCommunity.id}/addresses`, {
+            const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                body: JSON.stringify({ street }),
-                credentials: 'include'
-            });
+                body: JSON.stringify({ street })
+            }, true);
 
             if (!response.ok) {
                 throw new Error('Failed to add address');
@@ -862,7 +2597,10 @@ async function addAddress() {
             if (!selectedCommunity.addresses) {
                 selectedCommunity.addresses = [];
             }
-            selectedCommunity.addresses.push(newAddress);
+            // The address may already have arrived through the event stream
+            if (!selectedCommunity.addresses.some(a => a.id === newAddress.id)) {
+                selectedCommunity.addresses.push(newAddress);
+            }
             renderAddresses();
         } catch (error) {
             console.error('Error adding address:', error);
@@ -882,14 +2620,9 @@ async function removeAddress(addressId) {
     if (!selectedCommunity) return;
     if (confirm('Are you sure you want to remove this address?')) {
         try {
-            const response = await fetch(`/api/communities/${selectedCommunity.id}/addresses/${addressId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                credentials: 'include'
-            });
+            const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses/${addressId}`, {
+                method: 'DELETE'
+            }, true);
 
             if (!response.ok) {
                 throw new Error('Failed to delete address');
@@ -917,24 +2650,30 @@ async function addUserId(addressId) {
     const username = prompt('Enter username:');
     const playerId = prompt('Enter player ID:');
     if (username && playerId) {
+        const gateIds = promptGateIds('this resident');
+        if (gateIds === null) return;
+        const account = prompt('Dashboard account of the resident, so they can invite guests (leave empty for none):');
+        if (account === null) return;
         try {
-            const response = await fetch(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/people`, {
+            const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/people`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                body: JSON.stringify({ username, playerId }),
-                credentials: 'include'
-            });
+                body: JSON.stringify({ username, playerId, gateIds, account: account.trim() || null })
+            }, true);
 
             if (response.ok) {
                 const newUserId = await response.json();
+                // The address may have been reloaded after a conflict
+                const address = selectedCommunity.addresses.find(a => a.id === addressId);
                 if (!address.people) {
                     address.people = [];
                 }
-                address.people.push(newUserId);
+                if (!address.people.some(person => person.id === newUserId.id)) {
+                    address.people.push(newUserId);
+                }
                 renderUserIds(address);
+            } else if (response.status === 400) {
+                const errorData = await response.json();
+                alert(`Error: ${errorData.error}`);
             } else {
                 console.error('Failed to add user ID:', response.statusText);
             }
@@ -957,16 +2696,13 @@ async function removeUserId(addressId, userIdId) {
     if (!address) return;
     if (confirm('Are you sure you want to remove this user ID?')) {
         try {
-            const response = await fetch(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/people/${userIdId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                credentials: 'include'
-            });
+            const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/people/${userIdId}`, {
+                method: 'DELETE'
+            }, true);
 
             if (response.ok) {
+                // The address may have been reloaded after a conflict
+                const address = selectedCommunity.addresses.find(a => a.id === addressId);
                 address.people = address.people.filter(u => u.id !== userIdId);
                 renderUserIds(address);
             } else {
@@ -979,7 +2715,7 @@ async function removeUserId(addressId, userIdId) {
 }
 
 /**
- * Adds a new code to an address by prompting the user for a description, code, and expiration date and sending a POST request to the server.
+ * Adds a new code to an address by prompting the user for a description, code (or none to have the server generate one), and expiration date and sending a POST request to the server.
  * @async
  * @function addCode
  * @param {string} addressId - The ID of the address to add the code to.
@@ -989,27 +2725,70 @@ async function addCode(addressId) {
     const address = selectedCommunity.addresses.find(a => a.id === addressId);
     if (!address) return;
     const description = prompt('Enter code description:');
-    const code = prompt('Enter code:');
+    const code = prompt('Enter code (leave empty to generate a secure code):');
+    if (code === null) return;
     const expiresAt = prompt('Enter expiration date and time (YYYY-MM-DD HH:MM):');
-    if (description && code && expiresAt) {
+    if (description && expiresAt) {
+        if (isNaN(new Date(expiresAt).getTime())) {
+            alert('The expiration date is not a valid date.');
+            return;
+        }
+        const maxUsesInput = prompt('Maximum number of uses (leave empty for unlimited):');
+        if (maxUsesInput === null) return;
+        const maxUses = maxUsesInput.trim() === '' ? null : Number(maxUsesInput);
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+            alert('The maximum number of uses must be a whole number of at least 1.');
+            return;
+        }
+        const startsAtInput = prompt('Enter start date and time (YYYY-MM-DD HH:MM, leave empty to start now):');
+        if (startsAtInput === null) return;
+        const startsAt = startsAtInput.trim() === '' ? null : new Date(startsAtInput);
+        if (startsAt && isNaN(startsAt.getTime())) {
+            alert('The start date is not a valid date.');
+            return;
+        }
+        const scheduleInput = prompt(`Enter weekly schedule in ${selectedCommunity.timezone || 'UTC'} time, e.g. "Mon,Wed 09:00-12:00; Fri 14:00-16:00" (leave empty for any time):`);
+        if (scheduleInput === null) return;
+        const schedule = parseScheduleInput(scheduleInput);
+        if (!schedule) {
+            alert('The schedule could not be read. Use days (Sun-Sat) followed by a time range, e.g. "Mon-Fri 08:00-18:00".');
+            return;
+        }
+        const playersInput = prompt('Restrict to residents (usernames or player IDs, comma-separated; leave empty for everyone):');
+        if (playersInput === null) return;
+        const gateIds = promptGateIds('this code');
+        if (gateIds === null) return;
         try {
-            const response = await fetch(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/codes`, {
+            const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/codes`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                body: JSON.stringify({ description, code, expiresAt: new Date(expiresAt).toISOString() }),
-                credentials: 'include'
-            });
+                body: JSON.stringify({
+                    description,
+                    code: code.trim() || null,
+                    expiresAt: new Date(expiresAt).toISOString(),
+                    maxUses,
+                    startsAt: startsAt ? startsAt.toISOString() : null,
+                    schedule: schedule.length > 0 ? schedule : null,
+                    allowedUsers: playersInput.split(',').map(player => player.trim()).filter(Boolean),
+                    gateIds
+                })
+            }, true);
 
             if (response.ok) {
-                const newCode = await response.json();
+                // Only the hash of the code is stored, so keep just the masked code in the dashboard
+                const { code: plaintextCode, ...newCode } = await response.json();
+                // The address may have been reloaded after a conflict
+                const address = selectedCommunity.addresses.find(a => a.id === addressId);
                 if (!address.codes) {
                     address.codes = [];
                 }
-                address.codes.push(newCode);
+                if (!address.codes.some(c => c.id === newCode.id)) {
+                    address.codes.push(newCode);
+                }
                 renderCodes(address);
+                prompt('Copy this code now. It will not be shown again:', plaintextCode);
+            } else if (response.status === 400 || response.status === 409) {
+                const errorData = await response.json();
+                alert(`Error: ${errorData.error}`);
             } else {
                 console.error('Failed to add code:', response.statusText);
             }
@@ -1032,16 +2811,13 @@ async function removeCode(addressId, codeId) {
     if (!address) return;
     if (confirm('Are you sure you want to remove this code?')) {
         try {
-            const response = await fetch(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/codes/${codeId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                credentials: 'include'
-            });
+            const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/codes/${codeId}`, {
+                method: 'DELETE'
+            }, true);
 
             if (response.ok) {
+                // The address may have been reloaded after a conflict
+                const address = selectedCommunity.addresses.find(a => a.id === addressId);
                 address.codes = address.codes.filter(c => c.id !== codeId);
                 renderCodes(address);
             } else {
@@ -1053,6 +2829,44 @@ async function removeCode(addressId, codeId) {
     }
 }
 
+/**
+ * Changes the players a code is restricted to, by prompting for a comma-separated list of resident usernames or
+ * player IDs and sending a PUT request to the server.
+ * @async
+ * @function editCodePlayers
+ * @param {string} addressId - The ID of the address the code belongs to.
+ * @param {string} codeId - The ID of the code.
+ * @returns {Promise<void>}
+ */
+async function editCodePlayers(addressId, codeId) {
+    const address = selectedCommunity.addresses.find(a => a.id === addressId);
+    const code = address && (address.codes || []).find(c => c.id === codeId);
+    if (!code) return;
+    const playersInput = prompt('Restrict to residents (usernames or player IDs, comma-separated; leave empty for everyone):',
+        (code.allowedUsers || []).join(', '));
+    if (playersInput === null) return;
+
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/addresses/${addressId}/codes/${codeId}/allowed-users`, {
+            method: 'PUT',
+            body: JSON.stringify({ allowedUsers: playersInput.split(',').map(player => player.trim()).filter(Boolean) })
+        }, true);
+
+        if (response.ok) {
+            const updatedCode = await response.json();
+            // The address may have been reloaded after a conflict
+            const address = selectedCommunity.addresses.find(a => a.id === addressId);
+            address.codes = address.codes.map(c => c.id === codeId ? updatedCode : c);
+            renderCodes(address);
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error updating the players of the code:', error);
+    }
+}
+
 /**
  * Checks if a user exists in the system.
  * @async
@@ -1085,7 +2899,8 @@ async function checkUserExists(username) {
 }
 
 /**
- * Updates the list of allowed users for the selected community by sending a PUT request to the server.
+ * Updates the list of allowed users for the selected community by sending a PUT request to the server, together with
+ * the role chosen for the added and selected users.
  * @async
  * @function updateAllowedUsers
  * @returns {Promise<void>}
@@ -1100,23 +2915,27 @@ async function updateAllowedUsers() {
     const newAllowedUsers = allowedUsersInput.split(',').map(user => user.trim()).filter(Boolean);
     const allowedUsersSet = new Set([...selectedCommunity.allowedUsers, ...newAllowedUsers]);
 
+    // The chosen role applies to the added users and to the users selected in the list
+    const role = document.getElementById('allowedUserRole').value;
+    const selectedUsers = Array.from(document.getElementById('allowedUsersDropdown').selectedOptions).map(option => option.value);
+    const roles = Object.fromEntries([...newAllowedUsers, ...selectedUsers].map(user => [user, role]));
+
     try {
-        const response = await fetch(`/api/communities/${selectedCommunity.id}/allowed-users`, {
+        // Not re-applied after a conflict, since the list sent is based on the outdated allowed users
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/allowed-users`, {
             method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': csrfToken
-            },
-            body: JSON.stringify({ allowedUsers: Array.from(allowedUsersSet) }),
-            credentials: 'include'
+            body: JSON.stringify({ allowedUsers: Array.from(allowedUsersSet), roles })
         });
 
-        if (response.ok) {
+        if (response.status === 409) {
+            alert('This community was changed by someone else in the meantime. The latest version has been loaded, please check the allowed users and try again.');
+        } else if (response.ok) {
             const data = await response.json();
             if (data.warning) {
                 alert(data.warning);
             }
             selectedCommunity.allowedUsers = data.validUsers;
+            selectedCommunity.userRoles = data.userRoles;
             renderAllowedUsers();
             document.getElementById('allowedUsersInput').value = '';
         } else {
@@ -1142,11 +2961,50 @@ function renderAllowedUsers() {
         selectedCommunity.allowedUsers.forEach(user => {
             const option = document.createElement('option');
             option.value = user;
-            option.textContent = user;
+            option.textContent = `${user} (${(selectedCommunity.userRoles || {})[user] || 'operator'})`;
             allowedUsersDropdown.appendChild(option);
         });
     }
-    document.getElementById('allowedUsersManagement').style.display = selectedCommunity ? 'block' : 'none';
+    // Keep what the admin is typing when the community is updated in the background
+    const timezoneInput = document.getElementById('timezoneInput');
+    if (timezoneInput && document.activeElement !== timezoneInput) {
+        timezoneInput.value = selectedCommunity ? selectedCommunity.timezone || 'UTC' : '';
+    }
+    document.getElementById('allowedUsersManagement').style.display =
+        selectedCommunity && can('allowedUsers.manage') ? 'block' : 'none';
+}
+
+/**
+ * Sets the time zone that the code schedules of the selected community are read in.
+ * @async
+ * @function updateTimezone
+ * @returns {Promise<void>}
+ */
+async function updateTimezone() {
+    if (!selectedCommunity) {
+        alert('No community selected');
+        return;
+    }
+
+    const timezone = document.getElementById('timezoneInput').value.trim();
+    try {
+        const response = await sendCommunityChange(`/api/communities/${selectedCommunity.id}/timezone`, {
+            method: 'PUT',
+            body: JSON.stringify({ timezone })
+        }, true);
+
+        if (response.ok) {
+            selectedCommunity.timezone = timezone;
+            renderAllowedUsers();
+            renderAddresses();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${errorData.error}`);
+        }
+    } catch (error) {
+        console.error('Error updating time zone:', error);
+        alert('An error occurred while updating the time zone. Please try again.');
+    }
 }
 
 /**
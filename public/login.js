@@ -4,12 +4,26 @@
  */
 let csrfToken;
 
+/**
+ * IDs of the steps of the login page, of which one is shown at a time.
+ * @type {string[]}
+ */
+const loginSteps = ['loginForm', 'twoFactorForm', 'twoFactorSetupForm', 'recoveryCodesStep'];
+
 /**
  * Event listener for the DOMContentLoaded event to fetch the CSRF token when the document is fully loaded.
+ * Users who are logged in but still have to set up two-factor authentication continue with the setup.
  * @event
  */
 document.addEventListener('DOMContentLoaded', async () => {
     await fetchCsrfToken();
+    const response = await fetch('/api/check-auth');
+    if (response.ok) {
+        const data = await response.json();
+        if (data.twoFactorSetupRequired) {
+            await startTwoFactorSetup();
+        }
+    }
 });
 
 /**
@@ -46,7 +60,15 @@ document.getElementById('loginForm').addEventListener('submit', async (e) => {
             body: JSON.stringify({ username, password })
         });
         if (response.ok) {
-            window.location.href = '/index.html';
+            const data = await response.json();
+            if (data.twoFactorRequired) {
+                showLoginStep('twoFactorForm');
+                document.getElementById('twoFactorCode').focus();
+            } else if (data.twoFactorSetupRequired) {
+                await startTwoFactorSetup();
+            } else {
+                window.location.href = '/index.html';
+            }
         } else {
             alert('Invalid username or password');
         }
@@ -55,6 +77,106 @@ document.getElementById('loginForm').addEventListener('submit', async (e) => {
     }
 });
 
+/**
+ * Handles the second login step of users with two-factor authentication.
+ * Sends the code of the authenticator app, or a recovery code, to the /api/login/two-factor endpoint.
+ */
+document.getElementById('twoFactorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = document.getElementById('twoFactorCode').value.trim();
+    const body = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+    try {
+        const response = await fetch('/api/login/two-factor', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (response.ok) {
+            if (data.recoveryCodesLeft !== undefined) {
+                alert(`You have ${data.recoveryCodesLeft} recovery code(s) left. You can create new ones in the dashboard.`);
+            }
+            window.location.href = '/index.html';
+        } else if (response.status === 401 && data.error !== 'Invalid code') {
+            // The password step timed out
+            alert(data.error);
+            showLoginStep('loginForm');
+        } else {
+            alert(data.error);
+        }
+    } catch (error) {
+        console.error('Error logging in:', error);
+    }
+});
+
+/**
+ * Starts setting up two-factor authentication for a user whose role requires it, showing the QR code and key of a
+ * new secret for their authenticator app.
+ * @async
+ * @function startTwoFactorSetup
+ * @returns {Promise<void>}
+ */
+async function startTwoFactorSetup() {
+    try {
+        const response = await fetch('/api/two-factor/setup', {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error);
+            return;
+        }
+        document.getElementById('twoFactorQrCode').src = data.qrCode;
+        document.getElementById('twoFactorSecret').textContent = data.secret;
+        showLoginStep('twoFactorSetupForm');
+    } catch (error) {
+        console.error('Error setting up two-factor authentication:', error);
+    }
+}
+
+/**
+ * Handles the first code of the authenticator app during the setup, which turns two-factor authentication on, and
+ * shows the recovery codes.
+ */
+document.getElementById('twoFactorSetupForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = document.getElementById('twoFactorSetupCode').value.trim();
+    try {
+        const response = await fetch('/api/two-factor/enable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        if (response.ok) {
+            document.getElementById('recoveryCodesList').textContent = data.recoveryCodes.join('\n');
+            showLoginStep('recoveryCodesStep');
+        } else {
+            alert(data.error);
+        }
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+    }
+});
+
+/**
+ * Continues to the dashboard once the recovery codes have been saved.
+ */
+document.getElementById('continueBtn').addEventListener('click', () => {
+    window.location.href = '/index.html';
+});
+
+/**
+ * Shows one step of the login page and hides the others.
+ * @param {string} id - The ID of the step to show.
+ */
+function showLoginStep(id) {
+    loginSteps.forEach(step => {
+        document.getElementById(step).style.display = step === id ? '' : 'none';
+    });
+}
+
 /**
  * Displays the login form and hides the registration form.
  */
@@ -0,0 +1,67 @@
+/**
+ * @file scripts/migrate-code-hashes.js
+ * @description One-shot migration that replaces the plaintext of every stored access code with a salted hash (see
+ * accessCodes.js). Codes keep working: the server matches the code entered at a gate against the hash.
+ *
+ * Run it once with the same .env as the server, for either storage backend: `npm run migrate:code-hashes`
+ *
+ * Codes that already have a hash are skipped, so the script can safely be run again after an interruption.
+ */
+require('dotenv').config();
+const { createStore } = require('../storage');
+const { createCodeHash } = require('../accessCodes');
+
+/**
+ * Hashes the plaintext codes of a single community.
+ * @param {Object} store - The store.
+ * @param {Object} community - The community, including its addresses.
+ * @returns {Promise<number>} The number of migrated codes.
+ */
+async function migrateCommunity(store, community) {
+    let count = 0;
+
+    for (const address of community.addresses) {
+        for (const code of address.codes || []) {
+            if (code.codeHash || code.code === undefined || code.code === null) {
+                continue;
+            }
+
+            // Setting `code` to undefined deletes the plaintext
+            await store.codes.update(community.id, address.id, code.id, {
+                ...createCodeHash(code.code),
+                code: undefined
+            });
+            count++;
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Migrates the codes of all communities.
+ * @returns {Promise<void>}
+ */
+async function migrate() {
+    const store = createStore();
+    const communities = await store.communities.list();
+
+    for (const community of communities) {
+        const count = await migrateCommunity(store, community);
+        if (count > 0) {
+            console.log(`Migrated ${community.name}: ${count} code(s)`);
+        } else {
+            console.log(`Skipping ${community.name}: nothing to migrate`);
+        }
+    }
+}
+
+migrate()
+    .then(() => {
+        console.log('Migration complete');
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
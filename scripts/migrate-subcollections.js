@@ -0,0 +1,126 @@
+/**
+ * @file scripts/migrate-subcollections.js
+ * @description One-shot migration that moves the `addresses` array of every community document into the
+ * `addresses`, `people` and `codes` subcollections used by the Firestore storage backend.
+ *
+ * Run it once with the Firebase credentials in .env: `npm run migrate:subcollections`
+ *
+ * IDs of addresses, people and codes are kept, so links to them (e.g. in archived codes) stay valid. Communities
+ * without an `addresses` array are skipped, so the script can safely be run again after an interruption.
+ */
+require('dotenv').config();
+const admin = require('firebase-admin');
+const { initializeFirestore, MAX_BATCH_SIZE } = require('../storage/firestore');
+
+/**
+ * Derives a creation time for a person or code that did not have one. The old IDs were `Date.now()` strings,
+ * so they are used to keep the original order where possible.
+ * @param {Object} entry - The person or code.
+ * @param {string} fallback - The ISO date string to use if the ID is not a timestamp.
+ * @returns {string} The ISO date string.
+ */
+function createdAtFor(entry, fallback) {
+    if (entry.createdAt) {
+        return entry.createdAt;
+    }
+    return /^\d+$/.test(entry.id) ? new Date(Number(entry.id)).toISOString() : fallback;
+}
+
+/**
+ * Migrates a single community document.
+ * @param {Object} db - The Firestore instance.
+ * @param {Object} doc - The community document snapshot.
+ * @returns {Promise<{addresses: number, people: number, codes: number}>} The number of migrated entries.
+ */
+async function migrateCommunity(db, doc) {
+    const writes = [];
+    const usedIds = { addresses: new Set(), people: new Set(), codes: new Set() };
+    const counts = { addresses: 0, people: 0, codes: 0 };
+
+    /**
+     * Queues a write of an entry into a subcollection, keeping its ID unless it is missing or already taken.
+     * Replacement IDs are derived from the entry's position, so running the migration again writes the same documents.
+     * @param {string} subcollection - The name of the subcollection.
+     * @param {string} id - The old ID of the entry.
+     * @param {Object} data - The data to write.
+     * @returns {string} The ID the entry is stored under.
+     */
+    function queue(subcollection, id, data) {
+        const oldId = id ? String(id) : '';
+        let newId = oldId;
+        // A replacement ID may itself be taken by an earlier entry, so count up until one is free
+        for (let suffix = counts[subcollection]; !newId || usedIds[subcollection].has(newId); suffix++) {
+            newId = `${oldId || 'migrated'}-${suffix}`;
+        }
+        const ref = doc.ref.collection(subcollection).doc(newId);
+        usedIds[subcollection].add(newId);
+        writes.push(batch => batch.set(ref, data));
+        counts[subcollection]++;
+        return ref.id;
+    }
+
+    const migratedAt = new Date().toISOString();
+
+    doc.data().addresses.forEach(({ people = [], codes = [], ...address }) => {
+        const { id, ...addressData } = address;
+        const addressCreatedAt = addressData.createdAt || migratedAt;
+        const addressId = queue('addresses', id, { ...addressData, createdAt: addressCreatedAt });
+
+        people.forEach(({ id: personId, ...person }) => {
+            queue('people', personId, {
+                ...person,
+                addressId,
+                createdAt: createdAtFor({ id: personId, ...person }, addressCreatedAt)
+            });
+        });
+
+        codes.forEach(({ id: codeId, ...code }) => {
+            queue('codes', codeId, {
+                ...code,
+                addressId,
+                createdAt: createdAtFor({ id: codeId, ...code }, addressCreatedAt)
+            });
+        });
+    });
+
+    // The array is removed last, so an interrupted migration is simply repeated on the next run
+    writes.push(batch => batch.update(doc.ref, { addresses: admin.firestore.FieldValue.delete() }));
+
+    for (let i = 0; i < writes.length; i += MAX_BATCH_SIZE) {
+        const batch = db.batch();
+        writes.slice(i, i + MAX_BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+
+    return counts;
+}
+
+/**
+ * Migrates all community documents that still have an `addresses` array.
+ * @returns {Promise<void>}
+ */
+async function migrate() {
+    const db = initializeFirestore();
+    const snapshot = await db.collection('communities').get();
+
+    for (const doc of snapshot.docs) {
+        if (!Array.isArray(doc.data().addresses)) {
+            console.log(`Skipping ${doc.data().name}: already migrated`);
+            continue;
+        }
+
+        const counts = await migrateCommunity(db, doc);
+        console.log(`Migrated ${doc.data().name}: ${counts.addresses} address(es), ${counts.people} person(s), ` +
+            `${counts.codes} code(s)`);
+    }
+}
+
+migrate()
+    .then(() => {
+        console.log('Migration complete');
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
@@ -1,39 +1,100 @@
 /**
  * @file server.js
- * @description This file contains the main server code for the application, including routes, middleware, and utility functions.
+ * @description This file contains the main server code for the application, including routes, middleware, and
+ * utility functions.
  */
 require('dotenv').config();
 const express = require('express');
 const cookieSession = require('cookie-session');
-const admin = require('firebase-admin');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const path = require('path');
+const { EventEmitter } = require('events');
 const RateLimit = require('express-rate-limit');
 const lusca = require('lusca');
 const app = express();
 const port = 3000;
 const cors = require('cors');
-const lastAccessTimes = {};
-
-// Initialize Firebase
-admin.initializeApp({
-    credential: admin.credential.cert({
-        projectId: process.env.FIREBASE_PROJECT_ID,
-        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-        clientEmail: process.env.FIREBASE_CLIENT_EMAIL
-    }),
-    databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`
-});
+const { createStore } = require('./storage');
+const { NotFoundError, ConflictError } = require('./storage/errors');
+const QRCode = require('qrcode');
+const { getCodeHashSecret, createCodeHash, matchesAccessCode, toPublicCode } = require('./accessCodes');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    getTotpUrl,
+    generateRecoveryCodes,
+    useRecoveryCode
+} = require('./twoFactor');
+const {
+    COMMUNITY_ROLES,
+    isAdminSession,
+    isLinkedResident,
+    getCommunityRole,
+    hasCommunityPermission,
+    getCommunityPermissions
+} = require('./authorization');
+
+// Refuse to start without the secret access codes are hashed with, instead of failing on the first code
+try {
+    getCodeHashSecret();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Refuse to start without the secret the signing secrets of API keys are derived from. Key IDs are part of the keys,
+// so anyone could derive the signing secrets from a secret that is known or guessable.
+if (!process.env.REQUEST_SIGNING_SECRET) {
+    console.error('REQUEST_SIGNING_SECRET must be set to check the signatures of game server requests');
+    process.exit(1);
+}
+
+// Maximum allowed difference between a signed request's timestamp and the server clock
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// Nonces of signed requests seen within the signature window, mapped to when they may be forgotten
+const seenNonces = new Map();
+
+// Create the store for the backend selected by STORAGE_BACKEND (Firestore by default)
+const store = createStore();
+
+// Delivers live events to the dashboards connected to GET /api/events. Events only reach dashboards connected to
+// this server process.
+const liveEvents = new EventEmitter();
+liveEvents.setMaxListeners(0);
 
-// Create the Firestore instance
-const db = admin.firestore();
+// Interval of the comments sent on idle event streams, so proxies do not close them
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
 
-// Initialize collections after the database is created
-const collections = {
-    users: db.collection('users'),
-    communities: db.collection('communities'),
-    accessLogs: db.collection('access_logs')
-};
+// Length and characters of generated access codes, unless the request asks for others
+const CODE_LENGTH = Number(process.env.CODE_LENGTH) || 6;
+const CODE_ALPHABET = process.env.CODE_ALPHABET || '0123456789';
+const MIN_CODE_LENGTH = 4;
+const MAX_CODE_LENGTH = 32;
+
+// Longest time window a guest pass may cover
+const MAX_GUEST_PASS_DAYS = 7;
+
+// Roles that must use two-factor authentication, e.g. `superuser,admin`. Users of other roles may turn it on.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(Boolean);
+
+// Name of the application shown in authenticator apps
+const TWO_FACTOR_ISSUER = 'ResiLIVE';
+
+// Time a user has to enter their one-time password after their password was accepted
+const TWO_FACTOR_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Wrong one-time passwords or recovery codes a user may enter within the window before further attempts are refused
+const MAX_TWO_FACTOR_FAILURES = 5;
+const TWO_FACTOR_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Wrong one-time passwords per user ID, as { count, resetAt }. Kept on the server, since the session cookie could
+// be replayed to reset a counter kept in it.
+const twoFactorFailures = new Map();
 
 // Rate limiter setup: maximum of 100 requests per 15 minutes
 const limiter = RateLimit({
@@ -44,7 +105,12 @@ const limiter = RateLimit({
 app.set('trust proxy', 1);
 
 // Middleware setup
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body around so request signatures can be checked against the exact bytes that were sent
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.static('public', {
     index: false
 }));
@@ -61,12 +127,16 @@ app.use(cookieSession({
 
 app.use(cors({
     origin: 'http://localhost:3000',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag']
 }));
 
+// Routes called by game servers, which cannot obtain a CSRF token
+const gameRoutes = ['/api/log-access', '/api/access/verify'];
+
 // Apply CSRF protection to all other routes
 app.use((req, res, next) => {
-    if (req.path !== '/api/log-access') {
+    if (!gameRoutes.includes(req.path)) {
         lusca.csrf()(req, res, next);
     } else {
         next();
@@ -86,11 +156,9 @@ app.get('/csrf-token', (req, res) => {
 async function createInitialSuperuser() {
     try {
         // Check if superuser already exists
-        const superuserSnapshot = await db.collection('users')
-            .where('role', '==', 'superuser')
-            .get();
+        const superusers = await store.users.findByRole('superuser');
 
-        if (!superuserSnapshot.empty) {
+        if (superusers.length > 0) {
             console.log('Superuser already exists');
             return;
         }
@@ -100,11 +168,10 @@ async function createInitialSuperuser() {
         const superuser = {
             username: 'superuser',
             password: hashedPassword,
-            role: 'superuser',
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+            role: 'superuser'
         };
 
-        await db.collection('users').add(superuser);
+        await store.users.create(superuser);
         console.log('Initial superuser created successfully');
     } catch (error) {
         console.error('Error creating initial superuser:', error);
@@ -114,72 +181,192 @@ async function createInitialSuperuser() {
 // Uncomment createInitialSuperuser(); to create initial superuser, then comment out again
 // createInitialSuperuser();
 
+// The local backend starts out empty, so make sure it can be logged into
+if (process.env.STORAGE_BACKEND === 'local') {
+    createInitialSuperuser();
+}
+
 /**
- * Reads data from a specified file.
- * @param {string} collection - The path to the file.
- * @returns {Promise<Object>} The parsed JSON data from the file.
+ * Handles errors by logging them and sending a response with a 500 status code.
+ * A NotFoundError from the store is sent as a 404 response with its own message instead, and a ConflictError as a
+ * 409 response with the current state of the community, so the client can refresh its copy.
+ * @param {Object} res - The response object.
+ * @param {Error} error - The error object.
+ * @param {string} message - The error message to send in the response.
  */
-async function readData(collection) {
-    try {
-        const snapshot = await collections[collection].get();
-        const data = {};
-        data[collection] = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
-        return data;
-    } catch (error) {
-        console.error(`Error reading ${collection}:`, error);
-        return { [collection]: [] };
+function errorHandler(res, error, message) {
+    if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error instanceof ConflictError) {
+        return store.communities.get(error.communityId)
+            .then(community => res.status(409).json({
+                error: error.message,
+                community: community && toSessionCommunity(res.req.session, toPublicCommunity(community))
+            }))
+            .catch(getError => {
+                console.error(`${message}:`, getError);
+                res.status(500).json({ error: message });
+            });
     }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
 }
 
 /**
- * Writes data to a specified file.
- * @param {string} collection - The path to the file.
- * @param {Object} data - The data to write to the file.
+ * Checks whether the logged-in user may see a community (see authorization.js).
+ * @param {Object} session - The session of the user.
+ * @param {Object} community - The community.
+ * @returns {boolean} True if the user may see the community.
  */
-async function writeData(collection, data) {
-    try {
-        const batch = db.batch();
+function canSeeCommunity(session, community) {
+    return hasCommunityPermission(session, community, 'community.view');
+}
 
-        // Delete existing data
-        const existingDocs = await collections[collection].get();
-        existingDocs.docs.forEach(doc => {
-            batch.delete(doc.ref);
-        });
+/**
+ * Reduces a public community to what the logged-in user may see, and adds the user's permissions in it for the
+ * dashboard. Residents only get their own addresses, without the community's allowed users, roles and bans.
+ * @param {Object} session - The session of the user.
+ * @param {Object} community - The public community.
+ * @returns {Object} The community as the user sees it.
+ */
+function toSessionCommunity(session, community) {
+    const role = getCommunityRole(session, community);
+    const permissions = getCommunityPermissions(session, community);
+    if (role && role !== 'resident') {
+        return { ...community, permissions };
+    }
+    const { allowedUsers, userRoles, bans, ...visible } = community;
+    return {
+        ...visible,
+        addresses: community.addresses.filter(address => isLinkedResident(session, address)),
+        permissions
+    };
+}
 
-        // Add new data
-        data[collection].forEach(item => {
-            const docRef = collections[collection].doc(item.id);
-            batch.set(docRef, item);
-        });
+/**
+ * Strips the hashes of an address's codes before it leaves the server.
+ * @param {Object} address - The address, including its people and codes.
+ * @returns {Object} The address with public codes.
+ */
+function toPublicAddress(address) {
+    return { ...address, codes: (address.codes || []).map(toPublicCode) };
+}
 
-        await batch.commit();
-    } catch (error) {
-        console.error(`Error writing to ${collection}:`, error);
-        throw error;
-    }
+/**
+ * Strips the hashes of all codes of a community before it leaves the server.
+ * @param {Object} community - The community, including its addresses.
+ * @returns {Object} The community with public codes.
+ */
+function toPublicCommunity(community) {
+    return { ...community, addresses: (community.addresses || []).map(toPublicAddress) };
 }
 
 /**
- * Handles errors by logging them and sending a response with a 500 status code.
+ * Reduces a community to what game servers need to run its gates, leaving out dashboard data such as allowed users,
+ * linked dashboard accounts and who issued passes, bans and lockdowns.
+ * @param {Object} community - The community, including its addresses.
+ * @returns {Object} The community as sent to game servers.
+ */
+function toGameCommunity(community) {
+    const { lockdown } = community;
+    return {
+        id: community.id,
+        name: community.name,
+        timezone: community.timezone || null,
+        gates: (community.gates || []).map(({ id, name }) => ({ id, name })),
+        bans: (community.bans || []).map(ban => ({
+            id: ban.id,
+            playerId: ban.playerId,
+            reason: ban.reason,
+            expiresAt: ban.expiresAt
+        })),
+        lockdown: lockdown
+            ? { reason: lockdown.reason, whitelist: lockdown.whitelist, expiresAt: lockdown.expiresAt }
+            : null,
+        addresses: (community.addresses || []).map(address => ({
+            id: address.id,
+            street: address.street,
+            people: (address.people || []).map(person => ({
+                id: person.id,
+                username: person.username,
+                playerId: person.playerId,
+                gateIds: person.gateIds || []
+            })),
+            codes: (address.codes || []).map(code => ({
+                id: code.id,
+                description: code.description,
+                expiresAt: code.expiresAt,
+                startsAt: code.startsAt || null,
+                schedule: code.schedule || null,
+                maxUses: code.maxUses === undefined ? null : code.maxUses,
+                remainingUses: code.remainingUses === undefined ? null : code.remainingUses,
+                allowedUsers: code.allowedUsers || [],
+                gateIds: code.gateIds || [],
+                guest: code.guest ? { player: code.guest.player, playerId: code.guest.playerId } : undefined
+            }))
+        }))
+    };
+}
+
+/**
+ * Sends an event on a Server-Sent Events response.
+ * @param {Object} res - The event stream response.
+ * @param {string} event - The event type.
+ * @param {Object} data - The event data, sent as JSON.
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Reads the community version a change is based on from the If-Match header (e.g. `If-Match: "3"`).
+ * Requests without the header are applied to whatever the current version is.
+ * @param {Object} req - The request object.
+ * @returns {number|undefined} The expected version, or undefined if the request does not carry one.
+ */
+function getExpectedVersion(req) {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec((req.get('If-Match') || '').trim());
+    return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Sends the new version of a changed community in the ETag header, for the client's next If-Match.
  * @param {Object} res - The response object.
- * @param {Error} error - The error object.
- * @param {string} message - The error message to send in the response.
+ * @param {number} version - The new version of the community.
  */
-function errorHandler(res, error, message) {
-    console.error(`${message}:`, error);
-    res.status(500).json({ error: message });
+function setCommunityVersion(res, version) {
+    res.set('ETag', `"${version}"`);
 }
 
 /**
- * Middleware to require authentication.
+ * Middleware to require authentication. Users whose role requires two-factor authentication and who have not set
+ * it up yet are refused until they have (see requireLogin).
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @param {Function} next - The next middleware function.
  */
 function requireAuth(req, res, next) {
+    if (!req.session.userId) {
+        res.status(401).json({ error: 'Unauthorized' });
+    } else if (req.session.twoFactorSetupRequired) {
+        res.status(403).json({
+            error: 'Set up two-factor authentication to continue',
+            twoFactorSetupRequired: true
+        });
+    } else {
+        next();
+    }
+}
+
+/**
+ * Middleware to require a logged-in user, including one who still has to set up two-factor authentication. Only
+ * used by the routes that set it up.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+function requireLogin(req, res, next) {
     if (req.session.userId) {
         next();
     } else {
@@ -194,36 +381,368 @@ function requireAuth(req, res, next) {
  * @param {Function} next - The next middleware function.
  */
 function requireAdmin(req, res, next) {
-    if (req.session.userId && (req.session.userRole === 'admin' || req.session.userRole === 'superuser')) {
+    if (req.session.userId && isAdminSession(req.session)) {
         next();
     } else {
         res.status(403).json({ error: 'Unauthorized. Admin access required.' });
     }
 }
 
+/**
+ * Middleware to require the superuser.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+function requireSuperuser(req, res, next) {
+    if (req.session.userId && req.session.userRole === 'superuser') {
+        next();
+    } else {
+        res.status(403).json({ error: 'Unauthorized. Superuser access required.' });
+    }
+}
+
+/**
+ * Creates a middleware that requires a permission in the community of the request (see authorization.js). The
+ * community is taken from the communityId, id or name param, and for residents the address from the addressId param.
+ * The community is passed on to the route as req.community.
+ * @param {string} permission - The permission, e.g. `codes.manage`.
+ * @returns {Function} The middleware.
+ */
+function authorize(permission) {
+    return async (req, res, next) => {
+        try {
+            const { communityId, id, name, addressId } = req.params;
+            const community = name !== undefined
+                ? await store.communities.findByName(name)
+                : await store.communities.get(communityId || id);
+            if (!community) {
+                return res.status(404).json({ error: 'Community not found' });
+            }
+            if (!hasCommunityPermission(req.session, community, permission, addressId)) {
+                return res.status(403).json({ error: 'You do not have permission to do this in this community' });
+            }
+            req.community = community;
+            next();
+        } catch (error) {
+            errorHandler(res, error, 'Error checking permissions');
+        }
+    };
+}
+
+/**
+ * Hashes the secret part of an API key for storage and comparison.
+ * @param {string} secret - The secret part of the API key.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashApiKeySecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Creates a new API key for a community and stores its hash.
+ * Keys have the form `rl_<keyId>_<secret>`; only the hash of the secret is stored, so the full key
+ * can only be shown once, right after it is created.
+ * @param {string} communityId - The ID of the community the key is scoped to.
+ * @param {string} label - A label describing where the key is used.
+ * @param {string} createdBy - The username of the admin creating the key.
+ * @returns {Promise<{key: string, signingSecret: string, apiKey: Object}>} The plaintext key, its request signing
+ * secret and the stored key metadata.
+ */
+async function createApiKey(communityId, label, createdBy) {
+    const keyId = crypto.randomBytes(10).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const key = `rl_${keyId}_${secret}`;
+
+    const apiKey = await store.apiKeys.create(keyId, {
+        communityId,
+        label,
+        prefix: key.slice(0, keyId.length + 7),
+        hash: hashApiKeySecret(secret),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    });
+
+    return { key, signingSecret: getSigningSecret(keyId), apiKey: toApiKeyResponse(apiKey) };
+}
+
+/**
+ * Strips the hash from a stored API key before it is sent to the dashboard.
+ * @param {Object} data - The stored API key.
+ * @returns {Object} The API key metadata.
+ */
+function toApiKeyResponse(data) {
+    const { hash, ...apiKey } = data;
+    return apiKey;
+}
+
+/**
+ * Middleware to require a valid, unrevoked API key in the `X-API-Key` header.
+ * On success the key's ID and community ID are available as `req.apiKey`.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+async function requireApiKey(req, res, next) {
+    const key = req.get('X-API-Key');
+    const match = /^rl_([A-Za-z0-9]+)_([a-f0-9]+)$/.exec(key || '');
+
+    if (!match) {
+        return res.status(401).json({ error: 'Valid API key required' });
+    }
+
+    try {
+        const apiKey = await store.apiKeys.get(match[1]);
+
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(401).json({ error: 'Valid API key required' });
+        }
+
+        const expected = Buffer.from(apiKey.hash, 'hex');
+        const actual = Buffer.from(hashApiKeySecret(match[2]), 'hex');
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return res.status(401).json({ error: 'Valid API key required' });
+        }
+
+        req.apiKey = { id: apiKey.id, communityId: apiKey.communityId };
+
+        store.apiKeys.update(apiKey.id, { lastUsedAt: new Date().toISOString() })
+            .catch(error => console.error('Error updating API key usage:', error));
+
+        next();
+    } catch (error) {
+        errorHandler(res, error, 'Error checking API key');
+    }
+}
+
+/**
+ * Derives the secret a game server uses to sign its requests with a given API key.
+ * The secret is an HMAC of the key ID under the server's REQUEST_SIGNING_SECRET, so it never has to be stored.
+ * @param {string} keyId - The ID of the API key.
+ * @returns {string} The hex-encoded signing secret.
+ */
+function getSigningSecret(keyId) {
+    return crypto.createHmac('sha256', process.env.REQUEST_SIGNING_SECRET).update(keyId).digest('hex');
+}
+
+/**
+ * Builds the string a request signature is computed over.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The request path, including the query string.
+ * @param {string} timestamp - The request timestamp in Unix seconds.
+ * @param {string} nonce - The request nonce.
+ * @param {Buffer|string} body - The raw request body.
+ * @returns {string} The newline-separated string to sign.
+ */
+function buildSignaturePayload(method, path, timestamp, nonce, body) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Middleware to require a valid HMAC signature on a game server request.
+ * Requests must send `X-Timestamp` (Unix seconds), `X-Nonce` and `X-Signature`, where the signature is the hex
+ * HMAC-SHA256 of buildSignaturePayload under the API key's signing secret. Requests with a timestamp outside
+ * SIGNATURE_MAX_AGE_SECONDS or a nonce that was already used are rejected. Must run after requireApiKey.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+function requireSignature(req, res, next) {
+    const timestamp = req.get('X-Timestamp');
+    const nonce = req.get('X-Nonce');
+    const signature = req.get('X-Signature');
+
+    if (!timestamp || !nonce || !signature || !/^\d+$/.test(timestamp) || !/^[a-f0-9]{64}$/i.test(signature)) {
+        return res.status(401).json({ error: 'Signed request required' });
+    }
+
+    if (nonce.length > 128) {
+        return res.status(401).json({ error: 'Invalid nonce' });
+    }
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (Math.abs(nowSeconds - Number(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) {
+        return res.status(401).json({ error: 'Request timestamp is too old or too far in the future' });
+    }
+
+    const payload = buildSignaturePayload(req.method, req.originalUrl, timestamp, nonce, req.rawBody);
+    const expected = crypto.createHmac('sha256', getSigningSecret(req.apiKey.id)).update(payload).digest();
+    const actual = Buffer.from(signature, 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    const nonceKey = `${req.apiKey.id}:${nonce}`;
+    if (seenNonces.has(nonceKey)) {
+        return res.status(401).json({ error: 'Request has already been used' });
+    }
+    seenNonces.set(nonceKey, nowSeconds + 2 * SIGNATURE_MAX_AGE_SECONDS);
+
+    next();
+}
+
+/**
+ * Forgets nonces that are older than the signature window, since requests using them would be rejected anyway.
+ */
+function pruneSeenNonces() {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    for (const [nonceKey, forgetAt] of seenNonces) {
+        if (forgetAt < nowSeconds) {
+            seenNonces.delete(nonceKey);
+        }
+    }
+}
+
+// Set interval to prune replay-protection nonces every 60 seconds
+setInterval(pruneSeenNonces, 60000);
+
+/**
+ * Looks up a community by name for a game-facing route and checks that the request's API key is scoped to it.
+ * Sends a 404 or 403 response and returns null when the community cannot be used.
+ * @param {Object} req - The request object, with `req.apiKey` set by requireApiKey.
+ * @param {Object} res - The response object.
+ * @param {string} communityName - The name of the community.
+ * @returns {Promise<Object|null>} The community, or null if a response was sent.
+ */
+async function getScopedCommunity(req, res, communityName) {
+    const community = await store.communities.findByName(communityName);
+
+    if (!community) {
+        res.status(404).json({ error: 'Community not found' });
+        return null;
+    }
+
+    if (community.id !== req.apiKey.communityId) {
+        res.status(403).json({ error: 'API key is not valid for this community' });
+        return null;
+    }
+
+    return community;
+}
+
+/**
+ * Checks the optional gateId sent by a game server against the gates of its community.
+ * Sends a 400 response and returns false if the gate does not exist.
+ * @param {Object} res - The response object.
+ * @param {Object} community - The community.
+ * @param {string} [gateId] - The ID of the gate the request comes from.
+ * @returns {boolean} True if the request may continue.
+ */
+function checkRequestGate(res, community, gateId) {
+    if (gateId !== undefined && gateId !== null && gateId !== '' &&
+        !(community.gates || []).some(gate => gate.id === gateId)) {
+        res.status(400).json({ error: 'Unknown gateId' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validates the gates a person or code is scoped to.
+ * @param {Object} community - The community.
+ * @param {*} gateIds - The gate IDs from the request body; missing or empty means every gate.
+ * @returns {string[]|null} The gate IDs, or null if the value is not a list of IDs of the community's gates.
+ */
+function parseGateIds(community, gateIds) {
+    if (gateIds === undefined || gateIds === null) {
+        return [];
+    }
+    if (!Array.isArray(gateIds) || !gateIds.every(id => (community.gates || []).some(gate => gate.id === id))) {
+        return null;
+    }
+    return [...new Set(gateIds)];
+}
+
+/**
+ * Checks whether a person or code may be used at a gate. Entries without gateIds are valid at every gate, and
+ * requests that name no gate are not restricted.
+ * @param {Object} entry - The person or code.
+ * @param {string} [gateId] - The ID of the gate.
+ * @returns {boolean} True if the entry is valid at the gate.
+ */
+function isValidAtGate(entry, gateId) {
+    return !gateId || !Array.isArray(entry.gateIds) || entry.gateIds.length === 0 || entry.gateIds.includes(gateId);
+}
+
+/**
+ * Prepares a before/after snapshot for the audit log. Dates become ISO strings and undefined values are dropped,
+ * since Firestore does not accept them.
+ * @param {*} value - The object to snapshot.
+ * @returns {*} The snapshot, or null if there is no object.
+ */
+function toAuditSnapshot(value) {
+    return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Returns the fields of a user that are recorded in the audit log, leaving out the password hash.
+ * @param {Object} user - The stored user.
+ * @returns {{id: string, username: string, role: string}} The user snapshot.
+ */
+function toAuditUser(user) {
+    return { id: user.id, username: user.username, role: user.role };
+}
+
+/**
+ * Records an administrative change in the audit log. A failure to write the entry is logged but does not fail the
+ * request, since the change itself has already been made.
+ * @async
+ * @param {Object|null} req - The request that made the change, or null for changes made by the server itself.
+ * @param {Object} entry - The audit entry.
+ * @param {string} entry.action - What was done, e.g. `address.delete`.
+ * @param {string|null} [entry.communityId] - The ID of the affected community, if any.
+ * @param {{type: string, id: string}} entry.target - The changed object.
+ * @param {*} [entry.before] - The object before the change, or null if it was created.
+ * @param {*} [entry.after] - The object after the change, or null if it was deleted.
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, communityId = null, target, before = null, after = null }) {
+    try {
+        await store.auditLogs.add({
+            actor: req ? req.session.username : 'system',
+            actorId: req ? req.session.userId : null,
+            action,
+            communityId,
+            target,
+            before: toAuditSnapshot(before),
+            after: toAuditSnapshot(after),
+            ip: req ? req.ip : null
+        });
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+}
+
 // Route to register a new user
 app.post('/api/register', requireAuth, requireAdmin, async (req, res) => {
     try {
         const { username, password } = req.body;
-        const usersRef = db.collection('users');
 
-        const existingUser = await usersRef
-            .where('username', '==', username.toLowerCase())
-            .get();
+        const existingUser = await store.users.findByUsername(username);
 
-        if (!existingUser.empty) {
+        if (existingUser) {
             return res.status(400).json({ error: 'Username already exists' });
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
         const newUser = {
-            id: Date.now().toString(),
-            username,
+            username: username.toLowerCase(),
             password: hashedPassword,
             role: 'user'
         };
 
-        await usersRef.doc(newUser.id).set(newUser);
+        const createdUser = await store.users.create(newUser);
+        await recordAudit(req, {
+            action: 'user.create',
+            target: { type: 'user', id: createdUser.id },
+            after: toAuditUser(createdUser)
+        });
+
         res.status(201).json({ message: 'User registered successfully' });
     } catch (error) {
         errorHandler(res, error, 'Error registering user');
@@ -231,70 +750,119 @@ app.post('/api/register', requireAuth, requireAdmin, async (req, res) => {
 });
 
 /**
- * Adds a community to the access logs.
- * @param {string} communityName - The name of the community.
+ * Checks whether users of a role must use two-factor authentication (see TWO_FACTOR_REQUIRED_ROLES).
+ * @param {string} role - The role of the user.
+ * @returns {boolean} True if the role requires two-factor authentication.
  */
-async function addCommunityToAccessLogs(communityName) {
-    try {
-        let logs = await readData('access_logs');
-        if (!logs.communities) {
-            logs.communities = [];
-        }
-        if (!logs.communities.some(c => c.name === communityName)) {
-            logs.communities.push({ name: communityName, logs: [] });
-            await writeData('access_logs', logs);
-        }
-    } catch (error) {
-        console.error('Error adding community to access logs:', error);
+function isTwoFactorRequired(role) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Logs a user in by storing them in the session. Users whose role requires two-factor authentication but who have
+ * not set it up are marked, so that requireAuth refuses them until they have.
+ * @param {Object} req - The request object.
+ * @param {Object} user - The user.
+ */
+function startSession(req, user) {
+    req.session.pendingTwoFactor = null;
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.userRole = user.role;
+    req.session.twoFactorSetupRequired = isTwoFactorRequired(user.role) && !(user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * Checks whether a user has entered too many wrong one-time passwords or recovery codes recently.
+ * @param {string} userId - The ID of the user.
+ * @returns {boolean} True if further attempts are refused for now.
+ */
+function isTwoFactorLocked(userId) {
+    const failures = twoFactorFailures.get(userId);
+    if (failures && failures.resetAt <= Date.now()) {
+        twoFactorFailures.delete(userId);
+        return false;
     }
+    return Boolean(failures) && failures.count >= MAX_TWO_FACTOR_FAILURES;
 }
 
 /**
- * Removes a community from the access logs.
- * @param {string} communityName - The name of the community.
+ * Counts a wrong one-time password or recovery code of a user.
+ * @param {string} userId - The ID of the user.
  */
-async function removeCommunityFromAccessLogs(communityName) {
-    try {
-        let logs = await readData('access_logs');
-        if (logs.communities) {
-            logs.communities = logs.communities.filter(c => c.name !== communityName);
-            await writeData('access_logs', logs);
-        }
-    } catch (error) {
-        console.error('Error removing community from access logs:', error);
+function recordTwoFactorFailure(userId) {
+    const failures = twoFactorFailures.get(userId) || { count: 0, resetAt: Date.now() + TWO_FACTOR_FAILURE_WINDOW_MS };
+    failures.count++;
+    twoFactorFailures.set(userId, failures);
+}
+
+/**
+ * Checks the one-time password (`code`) or recovery code (`recoveryCode`) of a request against the two-factor
+ * authentication of a user, and stores that it was used so it cannot be used again.
+ * Sends an error response and returns null if it does not match or the user made too many attempts.
+ * @async
+ * @param {Object} res - The response object.
+ * @param {Object} user - The user, with two-factor authentication enabled.
+ * @param {Object} body - The request body.
+ * @returns {Promise<{twoFactor: Object, usedRecoveryCode: boolean}|null>} The updated two-factor settings.
+ */
+async function checkSecondFactor(res, user, { code, recoveryCode }) {
+    if (isTwoFactorLocked(user.id)) {
+        res.status(429).json({ error: 'Too many wrong codes, try again later' });
+        return null;
+    }
+
+    const twoFactor = { ...user.twoFactor };
+    if (recoveryCode) {
+        twoFactor.recoveryCodes = useRecoveryCode(twoFactor.recoveryCodes, recoveryCode);
+    } else {
+        twoFactor.lastStep = verifyTotp(twoFactor.secret, code, twoFactor.lastStep);
     }
+    if (twoFactor.recoveryCodes === null || twoFactor.lastStep === null) {
+        recordTwoFactorFailure(user.id);
+        res.status(401).json({ error: 'Invalid code' });
+        return null;
+    }
+
+    twoFactorFailures.delete(user.id);
+    await store.users.update(user.id, { twoFactor });
+    return { twoFactor, usedRecoveryCode: Boolean(recoveryCode) };
 }
 
-// Route to log in a user
+// Route to log in a user. Users with two-factor authentication are only logged in once they have also passed
+// POST /api/login/two-factor.
 app.post('/api/login', async (req, res) => {
     try {
         const { username, password } = req.body;
-        const usersRef = db.collection('users');
-        const snapshot = await usersRef.where('username', '==', username.toLowerCase()).get();
+        const userData = await store.users.findByUsername(username);
 
-        if (snapshot.empty) {
+        if (!userData) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const userDoc = snapshot.docs[0];
-        const userData = userDoc.data();
         const isValidPassword = await bcrypt.compare(password, userData.password);
 
         if (!isValidPassword) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Set session data directly
-        req.session.userId = userDoc.id;
-        req.session.username = userData.username;
-        req.session.userRole = userData.role;
+        if (userData.twoFactor && userData.twoFactor.enabled) {
+            req.session.userId = null;
+            req.session.username = null;
+            req.session.userRole = null;
+            req.session.pendingTwoFactor = { userId: userData.id, expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT_MS };
+            return res.json({ message: 'Enter your one-time password', twoFactorRequired: true });
+        }
+
+        startSession(req, userData);
 
         res.json({
             message: 'Logged in successfully',
             user: {
                 username: userData.username,
                 role: userData.role
-            }
+            },
+            twoFactorSetupRequired: req.session.twoFactorSetupRequired
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -302,39 +870,78 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
-// Route to log out a user
-app.post('/api/logout', (req, res) => {
-    req.session = null;
-    res.json({ message: 'Logged out successfully' });
-});
-
-// Route to add a new community
-app.post('/api/communities', requireAuth, requireAdmin, async (req, res) => {
+// Route for the second login step of users with two-factor authentication. Takes the one-time password of their
+// authenticator app as `code`, or one of their recovery codes as `recoveryCode`.
+app.post('/api/login/two-factor', async (req, res) => {
     try {
-        // Get all communities to check count
-        const snapshot = await db.collection('communities').get();
-        if (snapshot.size >= 8) {
-            return res.status(400).json({ error: 'Maximum number of communities (8) reached' });
+        const pending = req.session.pendingTwoFactor;
+        if (!pending || pending.expiresAt < Date.now()) {
+            return res.status(401).json({ error: 'Log in with your password first' });
         }
 
-        // Create new community
-        const newCommunity = {
-            name: req.body.name,
-            addresses: [],
-            allowedUsers: req.body.allowedUsers || [],
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
+        const userData = await store.users.get(pending.userId);
+        if (!userData || !userData.twoFactor || !userData.twoFactor.enabled) {
+            req.session.pendingTwoFactor = null;
+            return res.status(401).json({ error: 'Log in with your password first' });
+        }
+
+        const result = await checkSecondFactor(res, userData, req.body);
+        if (!result) {
+            return;
+        }
+
+        startSession(req, userData);
+
+        res.json({
+            message: 'Logged in successfully',
+            user: {
+                username: userData.username,
+                role: userData.role
+            },
+            recoveryCodesLeft: result.usedRecoveryCode ? result.twoFactor.recoveryCodes.length : undefined
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Error during login' });
+    }
+});
+
+// Route to log out a user
+app.post('/api/logout', (req, res) => {
+    req.session = null;
+    res.json({ message: 'Logged out successfully' });
+});
+
+// Route to add a new community
+app.post('/api/communities', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        // Get the number of communities to check the limit
+        const communityCount = await store.communities.count();
+        if (communityCount >= 8) {
+            return res.status(400).json({ error: 'Maximum number of communities (8) reached' });
+        }
 
-        // Add to Firestore and get the reference
-        const docRef = await db.collection('communities').add(newCommunity);
+        // Names must be unique, since access logs and game servers refer to communities by name
+        if (await store.communities.findByName(req.body.name)) {
+            return res.status(409).json({ error: 'A community with this name already exists' });
+        }
 
-        // Get the created document
-        const createdDoc = await docRef.get();
-        const communityData = {
-            id: docRef.id,
-            ...createdDoc.data()
+        // Create new community
+        const newCommunity = {
+            name: req.body.name,
+            allowedUsers: req.body.allowedUsers || []
         };
 
+        // Store the community and get it back with its ID
+        const communityData = await store.communities.create(newCommunity);
+        await recordAudit(req, {
+            action: 'community.create',
+            communityId: communityData.id,
+            target: { type: 'community', id: communityData.id },
+            after: communityData
+        });
+        broadcastCommunity(communityData.id);
+
         // Return the complete community data
         res.status(201).json({
             message: 'Community added successfully',
@@ -346,37 +953,20 @@ app.post('/api/communities', requireAuth, requireAdmin, async (req, res) => {
     }
 });
 
-// Route to delete a community
-app.delete('/api/communities/:id', requireAuth, requireAdmin, async (req, res) => {
+// Route to delete a community (requires `community.delete`)
+app.delete('/api/communities/:id', requireAuth, authorize('community.delete'), async (req, res) => {
     try {
-        const communityRef = db.collection('communities').doc(req.params.id);
-        const communityDoc = await communityRef.get();
-
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
-        }
-
-        const communityData = communityDoc.data();
-        const communityName = communityData.name;
-
-        // Start a batch write
-        const batch = db.batch();
-
-        // Delete the community
-        batch.delete(communityRef);
-
-        // Get all access logs for this community
-        const logsSnapshot = await db.collection('access_logs')
-            .where('community', '==', communityName)
-            .get();
-
-        // Add all log deletions to the batch
-        logsSnapshot.docs.forEach(doc => {
-            batch.delete(doc.ref);
+        const community = req.community;
+
+        // Deletes the community together with its logs and API keys
+        await store.communities.delete(req.params.id);
+        await recordAudit(req, {
+            action: 'community.delete',
+            communityId: community.id,
+            target: { type: 'community', id: community.id },
+            before: toPublicCommunity(community)
         });
-
-        // Commit the batch (deletes community and all its logs atomically)
-        await batch.commit();
+        broadcastCommunityDeleted(community);
 
         res.status(200).json({ message: 'Community and associated logs deleted successfully' });
     } catch (error) {
@@ -388,21 +978,12 @@ app.delete('/api/communities/:id', requireAuth, requireAdmin, async (req, res) =
 // Route to get all communities visible to the authenticated user
 app.get('/api/communities', requireAuth, async (req, res) => {
     try {
-        const snapshot = await db.collection('communities').get();
-        const communities = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const communities = await store.communities.list();
 
         // Filter communities based on user role
-        const visibleCommunities = communities.filter(community => {
-            if (req.session.userRole === 'admin' || req.session.userRole === 'superuser') {
-                return true;
-            }
-            return community.allowedUsers.includes(req.session.username);
-        });
+        const visibleCommunities = communities.filter(community => canSeeCommunity(req.session, community));
 
-        res.json(visibleCommunities);
+        res.json(visibleCommunities.map(community => toSessionCommunity(req.session, toPublicCommunity(community))));
     } catch (error) {
         console.error('Error fetching communities:', error);
         res.status(500).json({ error: 'Error fetching communities' });
@@ -416,7 +997,8 @@ app.get('/api/check-auth', (req, res) => {
             authenticated: true,
             userId: req.session.userId,
             username: req.session.username,
-            role: req.session.userRole
+            role: req.session.userRole,
+            twoFactorSetupRequired: Boolean(req.session.twoFactorSetupRequired)
         });
     } else {
         res.status(401).json({ authenticated: false });
@@ -426,28 +1008,66 @@ app.get('/api/check-auth', (req, res) => {
 // Get all users (admin only)
 app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
     try {
-        const snapshot = await db.collection('users').get();
-        const users = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            password: undefined
-        }));
-        res.json(users);
+        const users = await store.users.list();
+        res.json(users.map(user => ({
+            ...user,
+            password: undefined,
+            twoFactor: undefined,
+            twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+        })));
     } catch (error) {
         errorHandler(res, error, 'Error fetching users');
     }
 });
 
+/**
+ * Parses the optional `from` and `to` query parameters (ISO dates) of a request.
+ * @param {Object} query - The request query.
+ * @returns {{from: (Date|null), to: (Date|null)}|null} The date range, or null if one of the dates is invalid.
+ */
+function parseDateRange({ from, to }) {
+    const range = {
+        from: from ? new Date(from) : null,
+        to: to ? new Date(to) : null
+    };
+    if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+        return null;
+    }
+    return range;
+}
+
+// Route to list the audit log (admin only), optionally filtered by user, community and date range
+app.get('/api/audit-logs', requireAuth, requireAdmin, async (req, res) => {
+    const { user, communityId } = req.query;
+    const range = parseDateRange(req.query);
+
+    if (!range) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    try {
+        const entries = await store.auditLogs.list({
+            actor: user ? String(user).toLowerCase() : null,
+            communityId: communityId || null,
+            from: range.from,
+            to: range.to,
+            limit: Math.min(Number(req.query.limit) || 200, 500)
+        });
+
+        res.json(entries);
+    } catch (error) {
+        errorHandler(res, error, 'Error fetching audit logs');
+    }
+});
+
 // Add a new user (admin only)
 app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
     try {
         const { username, password } = req.body;
 
-        const existingUser = await db.collection('users')
-            .where('username', '==', username.toLowerCase())
-            .get();
+        const existingUser = await store.users.findByUsername(username);
 
-        if (!existingUser.empty) {
+        if (existingUser) {
             return res.status(400).json({ error: 'Username already exists' });
         }
 
@@ -455,12 +1075,17 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
         const newUser = {
             username: username.toLowerCase(),
             password: hashedPassword,
-            role: 'user',
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+            role: 'user'
         };
 
-        const docRef = await db.collection('users').add(newUser);
-        res.status(201).json({ message: 'User added successfully', id: docRef.id });
+        const createdUser = await store.users.create(newUser);
+        await recordAudit(req, {
+            action: 'user.create',
+            target: { type: 'user', id: createdUser.id },
+            after: toAuditUser(createdUser)
+        });
+
+        res.status(201).json({ message: 'User added successfully', id: createdUser.id });
     } catch (error) {
         errorHandler(res, error, 'Error adding user');
     }
@@ -469,49 +1094,32 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
 // Remove a user (admin only)
 app.delete('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
     try {
-        const userRef = db.collection('users').doc(req.params.id);
-        const userDoc = await userRef.get();
+        const userData = await store.users.get(req.params.id);
 
-        if (!userDoc.exists) {
+        if (!userData) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const userData = userDoc.data();
-
         // Prevent removal of superuser
         if (userData.role === 'superuser') {
             return res.status(403).json({ error: 'Cannot remove superuser account' });
         }
 
         // Remove user from all communities' allowedUsers arrays
-        const communitiesSnapshot = await db.collection('communities').get();
-        const batch = db.batch();
-
-        communitiesSnapshot.docs.forEach(doc => {
-            const community = doc.data();
-            if (community.allowedUsers && community.allowedUsers.includes(userData.username)) {
-                const updatedAllowedUsers = community.allowedUsers.filter(
-                    username => username !== userData.username
-                );
-                batch.update(doc.ref, { allowedUsers: updatedAllowedUsers });
-            }
-        });
+        const updatedCommunities = await store.communities.removeAllowedUser(userData.username);
+        updatedCommunities.forEach(community => broadcastCommunity(community.id));
 
         // Delete the user
-        batch.delete(userRef);
-
-        // Commit all changes
-        await batch.commit();
+        await store.users.delete(req.params.id);
+        await recordAudit(req, {
+            action: 'user.delete',
+            target: { type: 'user', id: userData.id },
+            before: toAuditUser(userData)
+        });
 
         res.json({
             message: 'User removed successfully',
-            updatedCommunities: communitiesSnapshot.docs
-                .map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                }))
-                .filter(community => community.allowedUsers &&
-                    community.allowedUsers.includes(userData.username))
+            updatedCommunities
         });
 
     } catch (error) {
@@ -521,27 +1129,25 @@ app.delete('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Route to add a new user by an admin
-app.post('/api/admin/add-user', requireAuth, async (req, res) => {
+app.post('/api/admin/add-user', requireAuth, requireAdmin, async (req, res) => {
     try {
-        if (req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Unauthorized. Admin access required.' });
-        }
-
         const { username, password } = req.body;
-        let users = await readData('users');
-
-        if (!users.users) {
-            users.users = [];
-        }
 
-        if (users.users.find(u => u.username === username)) {
+        if (await store.users.findByUsername(username)) {
             return res.status(400).json({ error: 'Username already exists' });
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = { id: Date.now().toString(), username, password: hashedPassword };
-        users.users.push(newUser);
-        await writeData('users', users);
+        const createdUser = await store.users.create({
+            username: username.toLowerCase(),
+            password: hashedPassword,
+            role: 'user'
+        });
+        await recordAudit(req, {
+            action: 'user.create',
+            target: { type: 'user', id: createdUser.id },
+            after: toAuditUser(createdUser)
+        });
 
         res.status(201).json({ message: 'User added successfully' });
     } catch (error) {
@@ -552,48 +1158,197 @@ app.post('/api/admin/add-user', requireAuth, async (req, res) => {
 app.post('/api/change-password', requireAuth, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
-        const users = await readData('users');
-        const user = users.users.find(u => u.id === req.session.userId);
+        const user = await store.users.get(req.session.userId);
 
         if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
             return res.status(401).json({ error: 'Current password is incorrect' });
         }
 
-        user.password = await bcrypt.hash(newPassword, 10);
-        await writeData('users', users);
+        await store.users.update(user.id, { password: await bcrypt.hash(newPassword, 10) });
+        await recordAudit(req, {
+            action: 'user.password.change',
+            target: { type: 'user', id: user.id }
+        });
         res.json({ message: 'Password changed successfully' });
     } catch (error) {
         errorHandler(res, error, 'Error changing password');
     }
 });
 
-// Route to delete a community (duplicate, should be removed)
-app.delete('/api/communities/:id', requireAuth, requireAdmin, async (req, res) => {
+// Route to get the two-factor authentication status of the logged-in user
+app.get('/api/two-factor', requireLogin, async (req, res) => {
+    try {
+        const user = await store.users.get(req.session.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const twoFactor = user.twoFactor && user.twoFactor.enabled ? user.twoFactor : null;
+        res.json({
+            enabled: Boolean(twoFactor),
+            required: isTwoFactorRequired(user.role),
+            recoveryCodesLeft: twoFactor ? twoFactor.recoveryCodes.length : 0
+        });
+    } catch (error) {
+        errorHandler(res, error, 'Error fetching two-factor authentication');
+    }
+});
+
+// Route to start setting up two-factor authentication. Creates a new secret and returns it with a QR code for
+// authenticator apps; it is only used once confirmed with POST /api/two-factor/enable.
+app.post('/api/two-factor/setup', requireLogin, async (req, res) => {
+    try {
+        const user = await store.users.get(req.session.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateTotpSecret();
+        await store.users.update(user.id, { twoFactor: { enabled: false, secret } });
+
+        const otpauthUrl = getTotpUrl(secret, user.username, TWO_FACTOR_ISSUER);
+        res.json({ secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+    } catch (error) {
+        errorHandler(res, error, 'Error setting up two-factor authentication');
+    }
+});
+
+// Route to turn on two-factor authentication with a one-time password (`code`) for the secret from
+// POST /api/two-factor/setup. Returns the recovery codes, which are only shown this once.
+app.post('/api/two-factor/enable', requireLogin, async (req, res) => {
+    try {
+        const user = await store.users.get(req.session.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactor || !user.twoFactor.secret) {
+            return res.status(400).json({ error: 'Start the setup first' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const lastStep = verifyTotp(user.twoFactor.secret, req.body.code);
+        if (lastStep === null) {
+            return res.status(400).json({ error: 'Invalid code, check the time on your device and try again' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await store.users.update(user.id, {
+            twoFactor: { enabled: true, secret: user.twoFactor.secret, lastStep, recoveryCodes: hashes }
+        });
+        req.session.twoFactorSetupRequired = false;
+        await recordAudit(req, {
+            action: 'user.two_factor.enable',
+            target: { type: 'user', id: user.id }
+        });
+
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+    } catch (error) {
+        errorHandler(res, error, 'Error enabling two-factor authentication');
+    }
+});
+
+// Route to turn off two-factor authentication, confirmed with a one-time password or recovery code. Not possible
+// for roles that require it.
+app.post('/api/two-factor/disable', requireAuth, async (req, res) => {
+    try {
+        const user = await store.users.get(req.session.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (isTwoFactorRequired(user.role)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+
+        if (!await checkSecondFactor(res, user, req.body)) {
+            return;
+        }
+
+        await store.users.update(user.id, { twoFactor: null });
+        await recordAudit(req, {
+            action: 'user.two_factor.disable',
+            target: { type: 'user', id: user.id }
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        errorHandler(res, error, 'Error disabling two-factor authentication');
+    }
+});
+
+// Route to replace the recovery codes of the logged-in user, confirmed with a one-time password or recovery code.
+// Returns the new codes, which are only shown this once.
+app.post('/api/two-factor/recovery-codes', requireAuth, async (req, res) => {
     try {
-        await db.collection('communities').doc(req.params.id).delete();
-        res.sendStatus(204);
+        const user = await store.users.get(req.session.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const result = await checkSecondFactor(res, user, req.body);
+        if (!result) {
+            return;
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await store.users.update(user.id, { twoFactor: { ...result.twoFactor, recoveryCodes: hashes } });
+        await recordAudit(req, {
+            action: 'user.two_factor.recovery_codes',
+            target: { type: 'user', id: user.id }
+        });
+
+        res.json({ message: 'Recovery codes replaced', recoveryCodes: codes });
+    } catch (error) {
+        errorHandler(res, error, 'Error replacing recovery codes');
+    }
+});
+
+// Route for the superuser to reset the two-factor authentication of a user who lost their authenticator and
+// recovery codes. Users whose role requires it set it up again on their next login.
+app.delete('/api/users/:id/two-factor', requireAuth, requireSuperuser, async (req, res) => {
+    try {
+        const user = await store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await store.users.update(user.id, { twoFactor: null });
+        twoFactorFailures.delete(user.id);
+        await recordAudit(req, {
+            action: 'user.two_factor.reset',
+            target: { type: 'user', id: user.id },
+            before: { ...toAuditUser(user), twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled) },
+            after: { ...toAuditUser(user), twoFactorEnabled: false }
+        });
+
+        res.json({ message: 'Two-factor authentication reset successfully' });
     } catch (error) {
-        errorHandler(res, error, 'Error removing community');
+        errorHandler(res, error, 'Error resetting two-factor authentication');
     }
 });
 
-// Route to update allowed users for a community
-app.put('/api/communities/:id/allowed-users', requireAuth, requireAdmin, async (req, res) => {
+// Route to update allowed users for a community and their roles in it (viewer, operator or manager)
+app.put('/api/communities/:id/allowed-users', requireAuth, authorize('allowedUsers.manage'), async (req, res) => {
     try {
-        const { allowedUsers } = req.body;
-        const communityRef = db.collection('communities').doc(req.params.id);
-        const communityDoc = await communityRef.get();
+        const { allowedUsers, roles = {} } = req.body;
+        const community = req.community;
 
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
+        if (!roles || typeof roles !== 'object' || Object.values(roles).some(role => !COMMUNITY_ROLES.includes(role))) {
+            return res.status(400).json({ error: `roles must map usernames to one of ${COMMUNITY_ROLES.join(', ')}` });
         }
 
         // Get all users to validate against
-        const usersSnapshot = await db.collection('users').get();
-        const users = usersSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const users = await store.users.list();
 
         const validUsers = [];
         const invalidUsers = [];
@@ -605,7 +1360,7 @@ app.put('/api/communities/:id/allowed-users', requireAuth, requireAdmin, async (
         for (const username of normalizedAllowedUsers) {
             // Find user case-insensitively but keep original case in database
             const user = users.find(u => u.username.toLowerCase() === username);
-            if (user && user.role !== 'admin' && user.role !== 'superuser') {
+            if (user && user.role !== 'admin' && user.role !== 'superuser' && user.role !== 'resident') {
                 // Add the original username case from the database
                 if (!validUsers.includes(user.username)) {
                     validUsers.push(user.username);
@@ -615,445 +1370,1701 @@ app.put('/api/communities/:id/allowed-users', requireAuth, requireAdmin, async (
             }
         }
 
-        // Update the community with valid users
-        await communityRef.update({
+        // Users keep their role unless a new one is given; roles of removed users are dropped
+        const previousRoles = community.userRoles || {};
+        const userRoles = {};
+        validUsers.forEach(username => {
+            const role = roles[username] || roles[username.toLowerCase()] || previousRoles[username];
+            if (role) {
+                userRoles[username] = role;
+            }
+        });
+
+        // Update the community with valid users, unless it was changed since the client loaded it
+        const { version } = await store.communities.update(req.params.id, {
             allowedUsers: validUsers,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            userRoles
+        }, { expectedVersion: getExpectedVersion(req) });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: 'community.allowed_users.update',
+            communityId: community.id,
+            target: { type: 'community', id: community.id },
+            before: { allowedUsers: community.allowedUsers, userRoles: previousRoles },
+            after: { allowedUsers: validUsers, userRoles }
         });
+        broadcastCommunity(community.id, community);
 
         if (invalidUsers.length > 0) {
             res.status(200).json({
                 warning: `The following users were not added: ${invalidUsers.join(', ')}`,
-                validUsers
+                validUsers,
+                userRoles
             });
         } else {
             res.status(200).json({
                 message: 'Allowed users updated successfully',
-                validUsers
+                validUsers,
+                userRoles
             });
         }
     } catch (error) {
-        console.error('Error updating allowed users:', error);
-        res.status(500).json({ error: 'Error updating allowed users' });
+        errorHandler(res, error, 'Error updating allowed users');
     }
 });
 
-// Route to toggle user role (admin only)
-app.put('/api/users/:id/role', requireAuth, requireAdmin, async (req, res) => {
+// Route to set the time zone that the code schedules of a community are read in (requires `settings.manage`)
+app.put('/api/communities/:id/timezone', requireAuth, authorize('settings.manage'), async (req, res) => {
     try {
-        const targetUserId = req.params.id;
-
-        // Prevent self-modification
-        if (targetUserId === req.session.userId) {
-            return res.status(403).json({ error: 'Cannot modify your own role' });
+        const { timezone } = req.body;
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: 'Unknown time zone, expected a name like "Europe/Berlin"' });
         }
 
-        // Get user document reference
-        const userRef = db.collection('users').doc(targetUserId);
-        const userDoc = await userRef.get();
-
-        if (!userDoc.exists) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+        const community = req.community;
+
+        const { version } = await store.communities.update(req.params.id, {
+            timezone
+        }, { expectedVersion: getExpectedVersion(req) });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: 'community.timezone.update',
+            communityId: community.id,
+            target: { type: 'community', id: community.id },
+            before: { timezone: community.timezone || 'UTC' },
+            after: { timezone }
+        });
+        broadcastCommunity(community.id);
 
-        const userData = userDoc.data();
+        res.status(200).json({ message: 'Time zone updated successfully', timezone });
+    } catch (error) {
+        errorHandler(res, error, 'Error updating time zone');
+    }
+});
 
-        // Prevent modifying superuser
-        if (userData.role === 'superuser') {
-            return res.status(403).json({ error: 'Cannot modify superuser role' });
+// Route to start or end the lockdown of a community, which closes its gates to everyone but a whitelist (requires
+// `settings.manage`)
+app.put('/api/communities/:id/lockdown', requireAuth, authorize('settings.manage'), async (req, res) => {
+    try {
+        const { active, reason, whitelist = [], expiresAt } = req.body;
+        if (typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'active must be true or false' });
         }
 
-        // Toggle role
-        const newRole = userData.role === 'admin' ? 'user' : 'admin';
-
-        // Update user role
-        await userRef.update({ role: newRole });
-
-        // If user is being made admin, remove them from all communities' allowed users
-        if (newRole === 'admin') {
-            const communitiesSnapshot = await db.collection('communities').get();
-            const batch = db.batch();
-
-            communitiesSnapshot.docs.forEach(doc => {
-                const community = doc.data();
-                if (community.allowedUsers && community.allowedUsers.includes(userData.username)) {
-                    const updatedAllowedUsers = community.allowedUsers.filter(
-                        username => username !== userData.username
-                    );
-                    batch.update(doc.ref, { allowedUsers: updatedAllowedUsers });
-                }
-            });
+        const community = req.community;
 
-            await batch.commit();
+        let lockdown = null;
+        if (active) {
+            if (!Array.isArray(whitelist) || !whitelist.every(entry => typeof entry === 'string')) {
+                return res.status(400).json({ error: 'whitelist must be a list of usernames or player IDs' });
+            }
+            // Lockdowns without expiresAt last until they are ended
+            if (expiresAt && !(new Date(expiresAt) > new Date())) {
+                return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+            }
+            lockdown = {
+                reason: typeof reason === 'string' ? reason.trim() : '',
+                whitelist: [...new Set(whitelist.map(entry => entry.trim()).filter(Boolean))],
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                startedBy: req.session.username,
+                startedAt: new Date().toISOString()
+            };
         }
 
-        res.json({
-            message: 'User role updated successfully',
-            newRole: newRole,
-            username: userData.username
+        const { version } = await store.communities.update(req.params.id, {
+            lockdown
+        }, { expectedVersion: getExpectedVersion(req) });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: active ? 'community.lockdown.start' : 'community.lockdown.end',
+            communityId: community.id,
+            target: { type: 'community', id: community.id },
+            before: { lockdown: community.lockdown || null },
+            after: { lockdown }
         });
-    } catch (error) {
-        console.error('Error updating user role:', error);
-        res.status(500).json({ error: 'Error updating user role' });
-    }
-});
+        await addAccessLog(community, {
+            community: community.name,
+            player: req.session.username,
+            action: active ? `Lockdown started${lockdown.reason ? ` (${lockdown.reason})` : ''}` : 'Lockdown ended'
+        });
+        broadcastCommunity(community.id);
 
-// Route to get addresses for a community
-app.get('/api/communities/:id/addresses', requireAuth, async (req, res) => {
-    try {
-        const jsonData = await readData(dataFile);
-        const community = jsonData.communities.find(c => c.id === req.params.id);
-        if (community) {
-            res.json(community.addresses);
-        } else {
-            res.status(404).json({ error: 'Community not found' });
-        }
+        res.status(200).json({ message: active ? 'Lockdown started' : 'Lockdown ended', lockdown });
     } catch (error) {
-        errorHandler(res, error, 'Error reading addresses');
+        errorHandler(res, error, 'Error updating lockdown');
     }
 });
 
-// Route to add an address to a community
-app.post('/api/communities/:id/addresses', requireAuth, async (req, res) => {
-    try {
-        const communityRef = db.collection('communities').doc(req.params.id);
-        const communityDoc = await communityRef.get();
+/**
+ * Finds the ban of a player in a community that is currently in force.
+ * @param {Object} community - The community data.
+ * @param {string} playerId - The Roblox player ID.
+ * @returns {Object|null} The ban, or null if the player is not banned.
+ */
+function findActiveBan(community, playerId) {
+    const now = new Date();
+    return (community.bans || []).find(ban =>
+        String(ban.playerId) === String(playerId) && (!ban.expiresAt || new Date(ban.expiresAt) > now)) || null;
+}
+
+/**
+ * Saves a list kept on the community document, such as its bans or gates. Without an If-Match header the change is
+ * still checked against the version that was read, so an entry added or removed at the same time is not lost.
+ * @async
+ * @param {Object} req - The request object.
+ * @param {Object} community - The community as read by the route.
+ * @param {Object} fields - The fields to update.
+ * @returns {Promise<{version: number}>} The new version of the community.
+ */
+async function saveCommunityFields(req, community, fields) {
+    const expectedVersion = getExpectedVersion(req);
+    return store.communities.update(community.id, fields, {
+        expectedVersion: expectedVersion !== undefined ? expectedVersion : community.version
+    });
+}
 
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
+// Route to ban a player from a community (requires `bans.manage`)
+app.post('/api/communities/:id/bans', requireAuth, authorize('bans.manage'), async (req, res) => {
+    try {
+        const { playerId, reason, expiresAt } = req.body;
+        if (!/^\d+$/.test(String(playerId || ''))) {
+            return res.status(400).json({ error: 'playerId must be a Roblox player ID' });
+        }
+        if (typeof reason !== 'string' || reason.trim() === '') {
+            return res.status(400).json({ error: 'A reason is required' });
+        }
+        // Bans without expiresAt are permanent
+        if (expiresAt && !(new Date(expiresAt) > new Date())) {
+            return res.status(400).json({ error: 'expiresAt must be a date in the future' });
         }
 
-        const communityData = communityDoc.data();
-        const addresses = communityData.addresses || [];
+        const community = req.community;
+        if (findActiveBan(community, playerId)) {
+            return res.status(409).json({ error: 'This player is already banned from the community' });
+        }
 
-        // Create new address
-        const newAddress = {
-            id: Date.now().toString(),
-            street: req.body.street,
-            people: [],
-            codes: [],
-            createdAt: new Date().toISOString() // Use ISO string instead of serverTimestamp
+        const ban = {
+            id: crypto.randomBytes(10).toString('hex'),
+            playerId: String(playerId),
+            reason: reason.trim(),
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            addedBy: req.session.username,
+            createdAt: new Date().toISOString()
         };
-
-        // Add new address to the array
-        addresses.push(newAddress);
-
-        // Update the community document with the new addresses array
-        await communityRef.update({
-            addresses: addresses,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp() // Add timestamp to the root document
+        const { version } = await saveCommunityFields(req, community, { bans: [...(community.bans || []), ban] });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: 'ban.create',
+            communityId: community.id,
+            target: { type: 'ban', id: ban.id },
+            after: ban
         });
+        broadcastCommunity(community.id);
 
-        // Return the new address
-        res.status(201).json(newAddress);
+        res.status(201).json(ban);
     } catch (error) {
-        console.error('Error adding address:', error);
-        res.status(500).json({ error: 'Error adding address' });
+        errorHandler(res, error, 'Error banning player');
     }
 });
 
-// Route to delete an address from a community
-app.delete('/api/communities/:id/addresses/:addressId', requireAuth, async (req, res) => {
+// Route to lift a ban (requires `bans.manage`)
+app.delete('/api/communities/:id/bans/:banId', requireAuth, authorize('bans.manage'), async (req, res) => {
     try {
-        const communityRef = db.collection('communities').doc(req.params.id);
-        const communityDoc = await communityRef.get();
-
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
+        const community = req.community;
+        const ban = (community.bans || []).find(b => b.id === req.params.banId);
+        if (!ban) {
+            return res.status(404).json({ error: 'Ban not found' });
         }
 
-        const communityData = communityDoc.data();
-        const addresses = communityData.addresses || [];
-
-        // Filter out the address to delete
-        const updatedAddresses = addresses.filter(addr => addr.id !== req.params.addressId);
-
-        // Update the community document with the new addresses array
-        await communityRef.update({
-            addresses: updatedAddresses,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        const { version } = await saveCommunityFields(req, community, {
+            bans: community.bans.filter(b => b.id !== ban.id)
+        });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: 'ban.delete',
+            communityId: community.id,
+            target: { type: 'ban', id: ban.id },
+            before: ban
         });
+        broadcastCommunity(community.id);
 
-        res.status(200).json({ message: 'Address deleted successfully' });
+        res.status(200).json({ message: 'Ban lifted successfully' });
     } catch (error) {
-        console.error('Error deleting address:', error);
-        res.status(500).json({ error: 'Error deleting address' });
+        errorHandler(res, error, 'Error lifting ban');
     }
 });
 
-/**
- * Logs access to a community by a player.
- * @param {string} communityName - The name of the community.
- * @param {string} playerName - The name of the player.
- * @param {string} action - The action performed by the player.
- */
-async function logAccess(communityName, playerName, action) {
-    try {
-        await db.collection('access_logs').add({
-            community: communityName,
-            player: playerName,
-            action: action,
-            timestamp: admin.firestore.FieldValue.serverTimestamp()
-        });
-    } catch (error) {
-        console.error('Error logging access:', error);
-    }
-}
-
-// Route to log access to a community
-app.post('/api/log-access', async (req, res) => {
-    const { community, player, action } = req.body;
-
+// Route to add a named gate to a community (requires `gates.manage`)
+app.post('/api/communities/:id/gates', requireAuth, authorize('gates.manage'), async (req, res) => {
     try {
-        const communityRef = await db.collection('communities')
-            .where('name', '==', community)
-            .get();
-
-        if (communityRef.empty) {
-            return res.status(404).json({ error: 'Community not found' });
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (name === '') {
+            return res.status(400).json({ error: 'A gate name is required' });
         }
 
-        const currentTime = Date.now();
-        const lastAccessKey = `${community}-${player}`;
-        const lastAccessTime = lastAccessTimes[lastAccessKey] || 0;
-
-        if (currentTime - lastAccessTime < 5000) {
-            return res.status(429).json({ error: 'Access attempt too soon. Please wait 5 seconds between attempts.' });
+        const community = req.community;
+        const gates = community.gates || [];
+        if (gates.some(gate => gate.name.toLowerCase() === name.toLowerCase())) {
+            return res.status(409).json({ error: 'A gate with this name already exists' });
         }
 
-        lastAccessTimes[lastAccessKey] = currentTime;
-
-        await db.collection('access_logs').add({
-            community,
-            player,
-            action,
-            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        const gate = {
+            id: crypto.randomBytes(10).toString('hex'),
+            name,
+            createdAt: new Date().toISOString()
+        };
+        const { version } = await saveCommunityFields(req, community, { gates: [...gates, gate] });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: 'gate.create',
+            communityId: community.id,
+            target: { type: 'gate', id: gate.id },
+            after: gate
         });
+        broadcastCommunity(community.id);
 
-        res.status(200).json({ message: 'Access logged successfully' });
+        res.status(201).json(gate);
     } catch (error) {
-        errorHandler(res, error, 'Error logging access');
+        errorHandler(res, error, 'Error adding gate');
     }
 });
 
-// Route to add a person to an address in a community
-app.post('/api/communities/:communityId/addresses/:addressId/people', requireAuth, async (req, res) => {
+// Route to remove a gate (requires `gates.manage`). Gates that codes or residents are still scoped to cannot be
+// removed.
+app.delete('/api/communities/:id/gates/:gateId', requireAuth, authorize('gates.manage'), async (req, res) => {
     try {
-        const communityRef = db.collection('communities').doc(req.params.communityId);
-        const communityDoc = await communityRef.get();
-
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
-        }
-
-        const communityData = communityDoc.data();
-        const address = communityData.addresses.find(a => a.id === req.params.addressId);
-
-        if (!address) {
-            return res.status(404).json({ error: 'Address not found' });
+        const community = req.community;
+        const gate = (community.gates || []).find(g => g.id === req.params.gateId);
+        if (!gate) {
+            return res.status(404).json({ error: 'Gate not found' });
         }
-
-        const newPerson = {
-            id: Date.now().toString(),
-            username: req.body.username,
-            playerId: req.body.playerId
-        };
-
-        // Add the new person to the address's people array
-        if (!address.people) {
-            address.people = [];
+        const inUse = community.addresses.some(address =>
+            [...(address.people || []), ...(address.codes || [])]
+                .some(entry => Array.isArray(entry.gateIds) && entry.gateIds.includes(gate.id)));
+        if (inUse) {
+            return res.status(409).json({ error: 'Codes or residents are still scoped to this gate' });
         }
-        address.people.push(newPerson);
 
-        // Update the community document with the modified addresses array
-        await communityRef.update({
-            addresses: communityData.addresses
+        const { version } = await saveCommunityFields(req, community, {
+            gates: community.gates.filter(g => g.id !== gate.id)
         });
+        setCommunityVersion(res, version);
+        await recordAudit(req, {
+            action: 'gate.delete',
+            communityId: community.id,
+            target: { type: 'gate', id: gate.id },
+            before: gate
+        });
+        broadcastCommunity(community.id);
 
-        res.status(201).json(newPerson);
+        res.status(200).json({ message: 'Gate removed successfully' });
     } catch (error) {
-        console.error('Error adding person:', error);
-        res.status(500).json({ error: 'Error adding person' });
+        errorHandler(res, error, 'Error removing gate');
     }
 });
 
-// Route to delete a person from an address in a community
-app.delete('/api/communities/:communityId/addresses/:addressId/people/:personId', requireAuth, async (req, res) => {
+// Route to list the API keys of a community (requires `apiKeys.manage`)
+app.get('/api/communities/:id/api-keys', requireAuth, authorize('apiKeys.manage'), async (req, res) => {
     try {
-        const communityRef = db.collection('communities').doc(req.params.communityId);
-        const communityDoc = await communityRef.get();
+        const storedKeys = await store.apiKeys.listByCommunity(req.params.id);
 
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
-        }
+        const apiKeys = storedKeys
+            .map(toApiKeyResponse)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-        const communityData = communityDoc.data();
-        const address = communityData.addresses.find(a => a.id === req.params.addressId);
+        res.json(apiKeys);
+    } catch (error) {
+        errorHandler(res, error, 'Error fetching API keys');
+    }
+});
 
-        if (!address) {
-            return res.status(404).json({ error: 'Address not found' });
+// Route to create an API key for a community (requires `apiKeys.manage`)
+app.post('/api/communities/:id/api-keys', requireAuth, authorize('apiKeys.manage'), async (req, res) => {
+    try {
+        const label = (req.body.label || '').trim();
+        if (!label) {
+            return res.status(400).json({ error: 'A label is required' });
         }
 
-        // Remove the person from the address's people array
-        address.people = address.people.filter(person => person.id !== req.params.personId);
+        const community = req.community;
 
-        // Update the community document with the modified addresses array
-        await communityRef.update({
-            addresses: communityData.addresses
+        const { key, signingSecret, apiKey } = await createApiKey(req.params.id, label, req.session.username);
+        await recordAudit(req, {
+            action: 'api_key.create',
+            communityId: req.params.id,
+            target: { type: 'api_key', id: apiKey.id },
+            after: apiKey
         });
 
-        res.status(200).json({ message: 'Person removed successfully' });
+        res.status(201).json({ message: 'API key created successfully', key, signingSecret, apiKey });
     } catch (error) {
-        console.error('Error removing person:', error);
-        res.status(500).json({ error: 'Error removing person' });
+        errorHandler(res, error, 'Error creating API key');
     }
 });
 
-// Route to add a code to an address in a community
-app.post('/api/communities/:communityId/addresses/:addressId/codes', requireAuth, async (req, res) => {
+// Route to rotate an API key: revokes it and issues a new key with the same label (requires `apiKeys.manage`)
+app.post('/api/communities/:id/api-keys/:keyId/rotate', requireAuth, authorize('apiKeys.manage'), async (req, res) => {
     try {
-        const communityRef = db.collection('communities').doc(req.params.communityId);
-        const communityDoc = await communityRef.get();
+        const oldKey = await store.apiKeys.get(req.params.keyId);
 
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
+        if (!oldKey || oldKey.communityId !== req.params.id) {
+            return res.status(404).json({ error: 'API key not found' });
         }
 
-        const communityData = communityDoc.data();
-        const address = communityData.addresses.find(a => a.id === req.params.addressId);
-
-        if (!address) {
-            return res.status(404).json({ error: 'Address not found' });
-        }
-
-        const newCode = {
-            id: Date.now().toString(),
-            description: req.body.description,
-            code: req.body.code,
-            expiresAt: req.body.expiresAt
-        };
-
-        // Add the new code to the address's codes array
-        if (!address.codes) {
-            address.codes = [];
+        if (oldKey.revokedAt) {
+            return res.status(400).json({ error: 'API key is already revoked' });
         }
-        address.codes.push(newCode);
 
-        // Update the community document with the modified addresses array
-        await communityRef.update({
-            addresses: communityData.addresses
+        const { key, signingSecret, apiKey } = await createApiKey(req.params.id, oldKey.label, req.session.username);
+        const revokedAt = new Date().toISOString();
+        await store.apiKeys.update(oldKey.id, { revokedAt, replacedBy: apiKey.id });
+        await recordAudit(req, {
+            action: 'api_key.rotate',
+            communityId: req.params.id,
+            target: { type: 'api_key', id: oldKey.id },
+            before: toApiKeyResponse(oldKey),
+            after: { ...toApiKeyResponse(oldKey), revokedAt, replacedBy: apiKey.id }
         });
 
-        res.status(201).json(newCode);
+        res.status(201).json({ message: 'API key rotated successfully', key, signingSecret, apiKey });
     } catch (error) {
-        console.error('Error adding code:', error);
-        res.status(500).json({ error: 'Error adding code' });
+        errorHandler(res, error, 'Error rotating API key');
     }
 });
 
-// Route to delete a code from an address in a community
-app.delete('/api/communities/:communityId/addresses/:addressId/codes/:codeId', requireAuth, async (req, res) => {
+// Route to revoke an API key (requires `apiKeys.manage`)
+app.delete('/api/communities/:id/api-keys/:keyId', requireAuth, authorize('apiKeys.manage'), async (req, res) => {
     try {
-        const communityRef = db.collection('communities').doc(req.params.communityId);
-        const communityDoc = await communityRef.get();
+        const apiKey = await store.apiKeys.get(req.params.keyId);
 
-        if (!communityDoc.exists) {
-            return res.status(404).json({ error: 'Community not found' });
+        if (!apiKey || apiKey.communityId !== req.params.id) {
+            return res.status(404).json({ error: 'API key not found' });
         }
 
-        const communityData = communityDoc.data();
-        const address = communityData.addresses.find(a => a.id === req.params.addressId);
-
-        if (!address || !address.codes) {
-            return res.status(404).json({ error: 'Address or codes not found' });
+        if (!apiKey.revokedAt) {
+            const revokedAt = new Date().toISOString();
+            await store.apiKeys.update(apiKey.id, { revokedAt });
+            await recordAudit(req, {
+                action: 'api_key.revoke',
+                communityId: req.params.id,
+                target: { type: 'api_key', id: apiKey.id },
+                before: toApiKeyResponse(apiKey),
+                after: { ...toApiKeyResponse(apiKey), revokedAt }
+            });
         }
 
-        // Remove the code from the address's codes array
-        address.codes = address.codes.filter(code => code.id !== req.params.codeId);
+        res.json({ message: 'API key revoked successfully' });
+    } catch (error) {
+        errorHandler(res, error, 'Error revoking API key');
+    }
+});
+
+// Roles that admins can give to other users
+const ASSIGNABLE_ROLES = ['user', 'admin', 'resident'];
+
+// Route to change a user's role (admin only). Sets the role given in the body, or toggles between admin and user
+// without one.
+app.put('/api/users/:id/role', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const targetUserId = req.params.id;
+
+        // Prevent self-modification
+        if (targetUserId === req.session.userId) {
+            return res.status(403).json({ error: 'Cannot modify your own role' });
+        }
+
+        const userData = await store.users.get(targetUserId);
+
+        if (!userData) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Prevent modifying superuser
+        if (userData.role === 'superuser') {
+            return res.status(403).json({ error: 'Cannot modify superuser role' });
+        }
+
+        let newRole = userData.role === 'admin' ? 'user' : 'admin';
+        if (req.body.role !== undefined) {
+            if (!ASSIGNABLE_ROLES.includes(req.body.role)) {
+                return res.status(400).json({ error: `role must be one of ${ASSIGNABLE_ROLES.join(', ')}` });
+            }
+            newRole = req.body.role;
+        }
+
+        // Update user role
+        await store.users.update(targetUserId, { role: newRole });
+
+        // Admins need no entry in allowedUsers, and residents are limited to the addresses they are linked to
+        if (newRole === 'admin' || newRole === 'resident') {
+            const updatedCommunities = await store.communities.removeAllowedUser(userData.username);
+            updatedCommunities.forEach(community => broadcastCommunity(community.id));
+        }
+
+        await recordAudit(req, {
+            action: 'user.role.update',
+            target: { type: 'user', id: userData.id },
+            before: toAuditUser(userData),
+            after: { ...toAuditUser(userData), role: newRole }
+        });
+
+        res.json({
+            message: 'User role updated successfully',
+            newRole: newRole,
+            username: userData.username
+        });
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.status(500).json({ error: 'Error updating user role' });
+    }
+});
+
+// Route to get addresses for a community
+app.get('/api/communities/:id/addresses', requireAuth, authorize('community.view'), async (req, res) => {
+    try {
+        res.json(toSessionCommunity(req.session, toPublicCommunity(req.community)).addresses);
+    } catch (error) {
+        errorHandler(res, error, 'Error reading addresses');
+    }
+});
+
+// Route to add an address to a community
+app.post('/api/communities/:id/addresses', requireAuth, authorize('addresses.manage'), async (req, res) => {
+    try {
+        const { address, version } = await store.addresses.add(req.params.id, {
+            street: req.body.street
+        }, { expectedVersion: getExpectedVersion(req) });
+
+        await recordAudit(req, {
+            action: 'address.create',
+            communityId: req.params.id,
+            target: { type: 'address', id: address.id },
+            after: address
+        });
+        broadcastCommunity(req.params.id);
+
+        // Return the new address
+        setCommunityVersion(res, version);
+        res.status(201).json(address);
+    } catch (error) {
+        errorHandler(res, error, 'Error adding address');
+    }
+});
+
+// Route to delete an address from a community
+app.delete('/api/communities/:id/addresses/:addressId', requireAuth, authorize('addresses.manage'),
+    async (req, res) => {
+        try {
+            const address = req.community.addresses.find(a => a.id === req.params.addressId);
+
+            // Removes the address together with its people and codes
+            const { version } = await store.addresses.remove(req.params.id, req.params.addressId, {
+                expectedVersion: getExpectedVersion(req)
+            });
+            await recordAudit(req, {
+                action: 'address.delete',
+                communityId: req.params.id,
+                target: { type: 'address', id: req.params.addressId },
+                before: address && toPublicAddress(address)
+            });
+            broadcastCommunity(req.params.id);
+
+            setCommunityVersion(res, version);
+            res.status(200).json({ message: 'Address deleted successfully' });
+        } catch (error) {
+            errorHandler(res, error, 'Error deleting address');
+        }
+    });
+
+/**
+ * Stores an access log entry and pushes it to the connected dashboards that can see its community.
+ * @async
+ * @param {Object} community - The community the entry belongs to.
+ * @param {Object} entry - The access log entry.
+ * @returns {Promise<Object>} The stored entry.
+ */
+async function addAccessLog(community, entry) {
+    const storedEntry = await store.accessLogs.add(entry);
+    liveEvents.emit('access-log', { community, entry: storedEntry });
+    return storedEntry;
+}
+
+/**
+ * Reads the current state of a changed community and pushes it to the connected dashboards that can see it.
+ * Dashboards that could see the previous state but cannot see the new one are told that the community is gone.
+ * Runs in the background; a failure is only logged, since the change itself has already been made.
+ * @param {string} communityId - The ID of the changed community.
+ * @param {Object} [previous] - The community before the change, if its allowed users or linked residents may have
+ * changed.
+ */
+function broadcastCommunity(communityId, previous = null) {
+    store.communities.get(communityId)
+        .then(community => {
+            if (community) {
+                liveEvents.emit('community-updated', { community: toPublicCommunity(community), previous });
+            }
+        })
+        .catch(error => console.error('Error broadcasting community change:', error));
+}
+
+/**
+ * Tells the connected dashboards that could see a community that it was deleted.
+ * @param {Object} community - The deleted community.
+ */
+function broadcastCommunityDeleted(community) {
+    liveEvents.emit('community-deleted', { community });
+}
+
+// Route to log access to a community
+app.post('/api/log-access', requireApiKey, requireSignature, async (req, res) => {
+    const { community, player, action, gateId } = req.body;
+
+    try {
+        const communityData = await getScopedCommunity(req, res, community);
+        if (!communityData) {
+            return;
+        }
+        if (!checkRequestGate(res, communityData, gateId)) {
+            return;
+        }
+
+        await addAccessLog(communityData, {
+            community,
+            gateId: gateId || null,
+            player,
+            action
+        });
+
+        res.status(200).json({ message: 'Access logged successfully' });
+    } catch (error) {
+        errorHandler(res, error, 'Error logging access');
+    }
+});
+
+// Days of the week as used in code schedules, in the order of Date#getDay()
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Checks whether a string is an IANA time zone name known to the runtime, e.g. `Europe/Berlin`.
+ * @param {string} timeZone - The time zone name.
+ * @returns {boolean} True if the time zone can be used.
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Converts an `HH:MM` time to minutes since midnight. `24:00` is accepted as the end of the day.
+ * @param {string} time - The time.
+ * @returns {number|null} The minutes, or null if the time is not a valid `HH:MM` time.
+ */
+function parseScheduleTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/.exec(String(time));
+    if (!match) {
+        return null;
+    }
+    return match[1] === undefined ? 24 * 60 : Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Validates the weekly schedule of a code as sent by the dashboard.
+ * A schedule is a list of windows like `{ days: ['mon', 'wed'], start: '09:00', end: '12:00' }`; windows cannot span
+ * midnight, so a night shift is entered as two windows.
+ * @param {*} schedule - The schedule from the request body.
+ * @returns {Array<{days: string[], start: string, end: string}>|null} The normalized schedule, or null if it is
+ * invalid.
+ */
+function parseSchedule(schedule) {
+    if (!Array.isArray(schedule)) {
+        return null;
+    }
+
+    const windows = [];
+    for (const window of schedule) {
+        if (!window || !Array.isArray(window.days) || window.days.length === 0) {
+            return null;
+        }
+        const days = window.days.map(day => String(day).toLowerCase());
+        if (!days.every(day => SCHEDULE_DAYS.includes(day))) {
+            return null;
+        }
+        const start = parseScheduleTime(window.start);
+        const end = parseScheduleTime(window.end);
+        if (start === null || end === null || start >= end) {
+            return null;
+        }
+        windows.push({ days: SCHEDULE_DAYS.filter(day => days.includes(day)), start: window.start, end: window.end });
+    }
+    return windows;
+}
+
+/**
+ * Checks whether a moment falls into one of the windows of a weekly schedule.
+ * @param {Array<{days: string[], start: string, end: string}>} schedule - The schedule of the code.
+ * @param {Date} date - The moment to check.
+ * @param {string} timeZone - The time zone the schedule is written in.
+ * @returns {boolean} True if the moment is inside a window.
+ */
+function isWithinSchedule(schedule, date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    const day = part('weekday').toLowerCase();
+    const minutes = Number(part('hour')) * 60 + Number(part('minute'));
+
+    return schedule.some(window => window.days.includes(day) &&
+        minutes >= parseScheduleTime(window.start) && minutes < parseScheduleTime(window.end));
+}
+
+/**
+ * Checks whether a player is on a list of Roblox usernames (case-insensitive) and player IDs.
+ * @param {string[]} list - The usernames and player IDs.
+ * @param {Object} player - The player.
+ * @param {string} player.playerId - The Roblox player ID.
+ * @param {string} [player.player] - The Roblox player name.
+ * @returns {boolean} True if the player is listed.
+ */
+function isPlayerListed(list, { playerId, player }) {
+    const playerName = (player || '').toLowerCase();
+    return list.some(entry => String(entry) === String(playerId) || String(entry).toLowerCase() === playerName);
+}
+
+/**
+ * Returns the lockdown of a community if it is in force. A lockdown is over once its expiresAt has passed, even
+ * before endExpiredLockdowns clears it.
+ * @param {Object} community - The community data.
+ * @returns {Object|null} The lockdown, or null if the community is not locked down.
+ */
+function getActiveLockdown(community) {
+    const lockdown = community.lockdown;
+    if (!lockdown || (lockdown.expiresAt && !(new Date(lockdown.expiresAt) > new Date()))) {
+        return null;
+    }
+    return lockdown;
+}
+
+/**
+ * Decides whether a player may enter a community.
+ * Banned players are always denied, and during a lockdown only the players on its whitelist get in. Otherwise a
+ * valid entered code takes precedence; without a code the player must be a resident of one of the addresses.
+ * Codes and residents that are scoped to gates only count at those gates.
+ * Codes that carry an allowedUsers list can only be used by those players, listed by name (case-insensitive) or player
+ * ID, and limited-use codes without remaining uses are ignored. Codes with a `startsAt` only work from that time on,
+ * and codes with a weekly `schedule` only inside its windows, read in the community's time zone (UTC if none is set).
+ * @param {Object} community - The community data, including its addresses.
+ * @param {Object} attempt - The access attempt.
+ * @param {string} attempt.playerId - The Roblox player ID.
+ * @param {string} [attempt.player] - The Roblox player name.
+ * @param {string} [attempt.code] - The code entered at the gate, if any.
+ * @param {string} [attempt.gateId] - The ID of the gate, if the game server sent one.
+ * @returns {{allowed: boolean, reason: string, addressId: (string|undefined), code: (Object|undefined)}} The access
+ * decision, including the matching code for `valid_code`.
+ */
+function evaluateAccess(community, { playerId, player, code, gateId }) {
+    const addresses = community.addresses || [];
+    const now = new Date();
+
+    if (findActiveBan(community, playerId)) {
+        return { allowed: false, reason: 'banned' };
+    }
+
+    const lockdown = getActiveLockdown(community);
+    if (lockdown) {
+        return isPlayerListed(lockdown.whitelist || [], { playerId, player })
+            ? { allowed: true, reason: 'lockdown_whitelist' }
+            : { allowed: false, reason: 'lockdown' };
+    }
+
+    if (code !== undefined && code !== null && code !== '') {
+        const timeZone = isValidTimeZone(community.timezone) ? community.timezone : 'UTC';
+        let expired = false;
+        let notYetValid = false;
+        let outsideSchedule = false;
+        let wrongGate = false;
+
+        for (const address of addresses) {
+            for (const entry of address.codes || []) {
+                const usedUp = typeof entry.remainingUses === 'number' && entry.remainingUses <= 0;
+                if (usedUp || !matchesAccessCode(entry, code)) {
+                    continue;
+                }
+                if (!(new Date(entry.expiresAt) > now)) {
+                    expired = true;
+                    continue;
+                }
+                if (entry.startsAt && new Date(entry.startsAt) > now) {
+                    notYetValid = true;
+                    continue;
+                }
+                if (Array.isArray(entry.schedule) && entry.schedule.length > 0 &&
+                    !isWithinSchedule(entry.schedule, now, timeZone)) {
+                    outsideSchedule = true;
+                    continue;
+                }
+                if (!isValidAtGate(entry, gateId)) {
+                    wrongGate = true;
+                    continue;
+                }
+                if (entry.allowedUsers && entry.allowedUsers.length > 0) {
+                    if (!isPlayerListed(entry.allowedUsers, { playerId, player })) {
+                        return { allowed: false, reason: 'code_not_allowed_for_player', addressId: address.id };
+                    }
+                }
+                // Guest passes only work for the player they were issued to
+                if (entry.guest) {
+                    const guest = [entry.guest.player, entry.guest.playerId].filter(Boolean);
+                    if (!isPlayerListed(guest, { playerId, player })) {
+                        return { allowed: false, reason: 'code_not_allowed_for_player', addressId: address.id };
+                    }
+                    return { allowed: true, reason: 'guest_pass', addressId: address.id, code: entry };
+                }
+                return { allowed: true, reason: 'valid_code', addressId: address.id, code: entry };
+            }
+        }
+
+        let reason = 'invalid_code';
+        if (wrongGate) {
+            reason = 'code_not_valid_at_gate';
+        } else if (outsideSchedule) {
+            reason = 'code_outside_schedule';
+        } else if (notYetValid) {
+            reason = 'code_not_yet_valid';
+        } else if (expired) {
+            reason = 'expired_code';
+        }
+        return { allowed: false, reason };
+    }
+
+    let otherGate = false;
+    for (const address of addresses) {
+        const person = (address.people || []).find(entry => String(entry.playerId) === String(playerId));
+        if (!person) {
+            continue;
+        }
+        if (isValidAtGate(person, gateId)) {
+            return { allowed: true, reason: 'resident', addressId: address.id };
+        }
+        otherGate = true;
+    }
+
+    return { allowed: false, reason: otherGate ? 'not_allowed_at_gate' : 'not_a_resident' };
+}
+
+// Route for game servers to ask whether a player may enter a community
+app.post('/api/access/verify', requireApiKey, requireSignature, async (req, res) => {
+    const { community, playerId, player, code, gateId } = req.body;
+
+    if (!community || playerId === undefined || playerId === null || playerId === '') {
+        return res.status(400).json({ error: 'community and playerId are required' });
+    }
+
+    try {
+        const communityData = await getScopedCommunity(req, res, community);
+        if (!communityData) {
+            return;
+        }
+
+        if (!checkRequestGate(res, communityData, gateId)) {
+            return;
+        }
+
+        const { code: usedCode, ...decision } = evaluateAccess(communityData, { playerId, player, code, gateId });
+
+        if (usedCode && typeof usedCode.remainingUses === 'number') {
+            try {
+                const archive = process.env.ARCHIVE_EXPIRED_CODES === 'true';
+                const { remainingUses, removed } = await store.codes.consume(communityData.id, decision.addressId,
+                    usedCode.id, { archive });
+                decision.remainingUses = remainingUses;
+                if (removed) {
+                    await recordAudit(null, {
+                        action: 'code.use_up',
+                        communityId: communityData.id,
+                        target: { type: 'code', id: usedCode.id, addressId: decision.addressId },
+                        before: toPublicCode(usedCode)
+                    });
+                }
+                broadcastCommunity(communityData.id);
+            } catch (error) {
+                // Another player took the last use between reading the community and consuming the code
+                if (!(error instanceof NotFoundError)) {
+                    throw error;
+                }
+                decision.allowed = false;
+                decision.reason = 'code_used_up';
+            }
+        }
+
+        await addAccessLog(communityData, {
+            community,
+            gateId: gateId || null,
+            player: player || String(playerId),
+            playerId: String(playerId),
+            action: decision.allowed ? `Access granted (${decision.reason})` : `Access denied (${decision.reason})`,
+            allowed: decision.allowed,
+            reason: decision.reason
+        });
+
+        res.json(decision);
+    } catch (error) {
+        errorHandler(res, error, 'Error verifying access');
+    }
+});
+
+/**
+ * Looks up a person or code of an address, e.g. to record it in the audit log before it is removed.
+ * @async
+ * @param {string} communityId - The ID of the community.
+ * @param {string} addressId - The ID of the address.
+ * @param {string} key - `people` or `codes`.
+ * @param {string} entryId - The ID of the person or code.
+ * @returns {Promise<Object|null>} The person or code, or null if it does not exist.
+ */
+async function findAddressEntry(communityId, addressId, key, entryId) {
+    const community = await store.communities.get(communityId);
+    const address = community && community.addresses.find(a => a.id === addressId);
+    return (address && (address[key] || []).find(entry => entry.id === entryId)) || null;
+}
+
+// Route to add a person to an address in a community
+app.post('/api/communities/:communityId/addresses/:addressId/people', requireAuth, authorize('residents.manage'),
+    async (req, res) => {
+        try {
+            const community = req.community;
+            // Residents without gateIds may enter through every gate
+            const gateIds = parseGateIds(community, req.body.gateIds);
+            if (!gateIds) {
+                return res.status(400).json({ error: 'gateIds must be a list of gates of the community' });
+            }
+
+            // Linking a dashboard account lets the resident issue guest passes for the address
+            let userId = null;
+            if (req.body.account) {
+                if (!hasCommunityPermission(req.session, community, 'residents.link')) {
+                    return res.status(403).json({ error: 'You do not have permission to link dashboard accounts' });
+                }
+                const account = await store.users.findByUsername(String(req.body.account).toLowerCase());
+                if (!account) {
+                    return res.status(400).json({ error: 'No dashboard account with this username exists' });
+                }
+                userId = account.id;
+            }
+
+            // Gates are checked against the community as read here, so a gate removed in between is not referenced
+            const clientVersion = getExpectedVersion(req);
+            const { person, version } = await store.people.add(req.params.communityId, req.params.addressId, {
+                username: req.body.username,
+                playerId: req.body.playerId,
+                gateIds,
+                userId
+            }, {
+                expectedVersion: clientVersion === undefined && gateIds.length > 0 ? community.version : clientVersion
+            });
+            await recordAudit(req, {
+                action: 'person.create',
+                communityId: req.params.communityId,
+                target: { type: 'person', id: person.id, addressId: req.params.addressId },
+                after: person
+            });
+            broadcastCommunity(req.params.communityId);
+
+            setCommunityVersion(res, version);
+            res.status(201).json(person);
+        } catch (error) {
+            errorHandler(res, error, 'Error adding person');
+        }
+    });
 
-        // Update the community document with the modified addresses array
-        await communityRef.update({
-            addresses: communityData.addresses
+// Route to delete a person from an address in a community
+app.delete('/api/communities/:communityId/addresses/:addressId/people/:personId', requireAuth,
+    authorize('residents.manage'), async (req, res) => {
+        try {
+            const community = req.community;
+            const address = community.addresses.find(a => a.id === req.params.addressId);
+            const person = (address && (address.people || []).find(entry => entry.id === req.params.personId)) || null;
+
+            const { version } = await store.people.remove(req.params.communityId, req.params.addressId,
+                req.params.personId, { expectedVersion: getExpectedVersion(req) });
+            await recordAudit(req, {
+                action: 'person.delete',
+                communityId: req.params.communityId,
+                target: { type: 'person', id: req.params.personId, addressId: req.params.addressId },
+                before: person
+            });
+            // A resident whose link is removed may no longer see the community
+            broadcastCommunity(req.params.communityId, person && person.userId ? community : null);
+
+            setCommunityVersion(res, version);
+            res.status(200).json({ message: 'Person removed successfully' });
+        } catch (error) {
+            errorHandler(res, error, 'Error removing person');
+        }
+    });
+
+/**
+ * Finds an active (not yet expired) code with the given value at any address of a community.
+ * @param {Object} community - The community data, including its addresses.
+ * @param {string} value - The code as entered at the gate.
+ * @returns {Object|null} The code, or null if no active code has this value.
+ */
+function findActiveCode(community, value) {
+    const now = new Date();
+    for (const address of community.addresses || []) {
+        const match = (address.codes || []).find(entry =>
+            new Date(entry.expiresAt) > now && matchesAccessCode(entry, value));
+        if (match) {
+            return match;
+        }
+    }
+    return null;
+}
+
+/**
+ * Generates a random code that no active code of the community uses yet.
+ * @param {Object} community - The community data, including its addresses.
+ * @param {number} length - The number of characters.
+ * @param {string} alphabet - The characters to choose from.
+ * @returns {string|null} The code, or null if no unused code was found within a few attempts.
+ */
+function generateUniqueCode(community, length, alphabet) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+        let value = '';
+        for (let i = 0; i < length; i++) {
+            value += alphabet[crypto.randomInt(alphabet.length)];
+        }
+        if (!findActiveCode(community, value)) {
+            return value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks the players a code is restricted to against the residents of the community. Each entry may be a Roblox
+ * username (case-insensitive) or player ID; valid entries are returned as written on the resident.
+ * @param {Object} community - The community data, including its addresses.
+ * @param {*} allowedUsers - The list from the request body.
+ * @returns {{valid: string[], invalid: string[]}|null} The valid and unknown entries, or null if the value is not a
+ * list of strings.
+ */
+function resolveCodeUsers(community, allowedUsers) {
+    if (!Array.isArray(allowedUsers) || !allowedUsers.every(entry => typeof entry === 'string')) {
+        return null;
+    }
+
+    const residents = (community.addresses || []).flatMap(address => address.people || []);
+    const valid = [];
+    const invalid = [];
+    for (const entry of allowedUsers.map(value => value.trim()).filter(Boolean)) {
+        const byId = residents.find(person => String(person.playerId) === entry);
+        const byName = residents.find(person => String(person.username).toLowerCase() === entry.toLowerCase());
+        const resolved = byId ? String(byId.playerId) : byName && byName.username;
+        if (!resolved) {
+            invalid.push(entry);
+        } else if (!valid.includes(resolved)) {
+            valid.push(resolved);
+        }
+    }
+    return { valid, invalid };
+}
+
+/**
+ * Sends the 400 response for a list of allowed players that is malformed or names players who are not residents.
+ * Unknown players are rejected instead of dropped, since dropping all of them would make the code usable by anyone.
+ * @param {Object} res - The response object.
+ * @param {{valid: string[], invalid: string[]}|null} users - The result of resolveCodeUsers.
+ * @returns {boolean} True if a response was sent.
+ */
+function rejectInvalidCodeUsers(res, users) {
+    if (!users) {
+        res.status(400).json({ error: 'allowedUsers must be a list of usernames or player IDs' });
+        return true;
+    }
+    if (users.invalid.length > 0) {
+        res.status(400).json({
+            error: `The following players are not residents of this community: ${users.invalid.join(', ')}`
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Stores a new code at the address of the request. The code is checked against the community as read here and only
+ * stored if the community is still at that version, so two requests cannot add the same code. Without an If-Match
+ * header, a change made in between just leads to another attempt.
+ * @async
+ * @param {Object} req - The request object, with communityId and addressId params.
+ * @param {Object} res - The response object.
+ * @param {Function} prepare - Called with the community for every attempt. Returns `{ value, fields }` with the
+ * plaintext code and the other fields to store, or null after it has sent an error response.
+ * @returns {Promise<{code: Object, version: number, value: string}|null>} The stored code, the new version and the
+ * plaintext code, or null if a response has already been sent.
+ */
+async function addUniqueCode(req, res, prepare) {
+    const clientVersion = getExpectedVersion(req);
+    for (let attempt = 1; ; attempt++) {
+        const community = await store.communities.get(req.params.communityId);
+        if (!community) {
+            res.status(404).json({ error: 'Community not found' });
+            return null;
+        }
+
+        const prepared = prepare(community);
+        if (!prepared) {
+            return null;
+        }
+
+        try {
+            const { code, version } = await store.codes.add(req.params.communityId, req.params.addressId, {
+                ...prepared.fields,
+                ...createCodeHash(prepared.value)
+            }, { expectedVersion: clientVersion !== undefined ? clientVersion : community.version });
+            return { code, version, value: prepared.value };
+        } catch (error) {
+            if (!(error instanceof ConflictError) || clientVersion !== undefined || attempt >= 3) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Route to add a code to an address in a community
+app.post('/api/communities/:communityId/addresses/:addressId/codes', requireAuth, authorize('codes.manage'),
+    async (req, res) => {
+        try {
+            // Every code needs a valid expiry date, which is stored normalized to an ISO string
+            const expiresAt = ['string', 'number'].includes(typeof req.body.expiresAt)
+                ? new Date(req.body.expiresAt)
+                : null;
+            if (!expiresAt || isNaN(expiresAt.getTime())) {
+                return res.status(400).json({ error: 'expiresAt is required and must be a valid date' });
+            }
+
+            // Codes without maxUses can be used any number of times until they expire
+            let maxUses = null;
+            if (req.body.maxUses !== undefined && req.body.maxUses !== null && req.body.maxUses !== '') {
+                maxUses = ['string', 'number'].includes(typeof req.body.maxUses) ? Number(req.body.maxUses) : NaN;
+                if (!Number.isInteger(maxUses) || maxUses < 1) {
+                    return res.status(400).json({ error: 'maxUses must be a whole number of at least 1' });
+                }
+            }
+
+            // Codes without startsAt work right away, and codes without a schedule at any time of the week
+            let startsAt = null;
+            if (req.body.startsAt) {
+                const startDate = new Date(req.body.startsAt);
+                if (isNaN(startDate.getTime())) {
+                    return res.status(400).json({ error: 'startsAt must be a valid date' });
+                }
+                if (!(expiresAt > startDate)) {
+                    return res.status(400).json({ error: 'The code must expire after it starts' });
+                }
+                startsAt = startDate.toISOString();
+            }
+
+            let schedule = null;
+            if (req.body.schedule !== undefined && req.body.schedule !== null) {
+                schedule = parseSchedule(req.body.schedule);
+                if (!schedule) {
+                    return res.status(400).json({
+                        error: 'schedule must be a list of windows with days (sun-sat) and a start before the end ' +
+                            '(HH:MM)'
+                    });
+                }
+                if (schedule.length === 0) {
+                    schedule = null;
+                }
+            }
+
+            // Without a code in the request, the server generates one
+            const generate = req.body.code === undefined || req.body.code === null || req.body.code === '';
+            const length = req.body.length !== undefined ? Number(req.body.length) : CODE_LENGTH;
+            const alphabet = req.body.alphabet !== undefined ? String(req.body.alphabet) : CODE_ALPHABET;
+            if (generate) {
+                if (!Number.isInteger(length) || length < MIN_CODE_LENGTH || length > MAX_CODE_LENGTH) {
+                    return res.status(400).json({
+                        error: `length must be a whole number from ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}`
+                    });
+                }
+                if (alphabet.length < 2 || new Set(alphabet).size !== alphabet.length) {
+                    return res.status(400).json({ error: 'alphabet must consist of at least 2 different characters' });
+                }
+            }
+
+            const result = await addUniqueCode(req, res, community => {
+                const value = generate ? generateUniqueCode(community, length, alphabet) : String(req.body.code);
+                if (!value) {
+                    res.status(409).json({
+                        error: 'Could not generate an unused code, use a longer code or a larger alphabet'
+                    });
+                    return null;
+                }
+                if (!generate && findActiveCode(community, value)) {
+                    res.status(409).json({ error: 'This code is already in use in the community' });
+                    return null;
+                }
+
+                // Codes without allowedUsers can be used by any player
+                const allowedUsers = resolveCodeUsers(community, req.body.allowedUsers || []);
+                if (rejectInvalidCodeUsers(res, allowedUsers)) {
+                    return null;
+                }
+
+                // Codes without gateIds work at every gate
+                const gateIds = parseGateIds(community, req.body.gateIds);
+                if (!gateIds) {
+                    res.status(400).json({ error: 'gateIds must be a list of gates of the community' });
+                    return null;
+                }
+
+                return {
+                    value,
+                    fields: {
+                        description: req.body.description,
+                        expiresAt: expiresAt.toISOString(),
+                        maxUses,
+                        remainingUses: maxUses,
+                        startsAt,
+                        schedule,
+                        allowedUsers: allowedUsers.valid,
+                        gateIds
+                    }
+                };
+            });
+            if (!result) {
+                return;
+            }
+
+            const { code, version, value } = result;
+            await recordAudit(req, {
+                action: 'code.create',
+                communityId: req.params.communityId,
+                target: { type: 'code', id: code.id, addressId: req.params.addressId },
+                after: toPublicCode(code)
+            });
+            broadcastCommunity(req.params.communityId);
+
+            // The plaintext is only known here, so this response is the only place it is ever shown
+            setCommunityVersion(res, version);
+            res.status(201).json({ ...toPublicCode(code), code: value });
+        } catch (error) {
+            errorHandler(res, error, 'Error adding code');
+        }
+    });
+
+// Route to change the players a code is restricted to (requires `codes.manage`)
+app.put('/api/communities/:communityId/addresses/:addressId/codes/:codeId/allowed-users', requireAuth,
+    authorize('codes.manage'), async (req, res) => {
+        try {
+            const community = req.community;
+
+            const allowedUsers = resolveCodeUsers(community, req.body.allowedUsers);
+            if (rejectInvalidCodeUsers(res, allowedUsers)) {
+                return;
+            }
+
+            const previous = await findAddressEntry(req.params.communityId, req.params.addressId, 'codes',
+                req.params.codeId);
+            const { code, version } = await store.codes.update(req.params.communityId, req.params.addressId,
+                req.params.codeId, { allowedUsers: allowedUsers.valid }, { expectedVersion: getExpectedVersion(req) });
+            await recordAudit(req, {
+                action: 'code.allowed_users.update',
+                communityId: req.params.communityId,
+                target: { type: 'code', id: req.params.codeId, addressId: req.params.addressId },
+                before: { allowedUsers: (previous && previous.allowedUsers) || [] },
+                after: { allowedUsers: code.allowedUsers }
+            });
+            broadcastCommunity(req.params.communityId);
+
+            setCommunityVersion(res, version);
+            res.status(200).json(toPublicCode(code));
+        } catch (error) {
+            errorHandler(res, error, 'Error updating the players of the code');
+        }
+    });
+
+// Route to delete a code from an address in a community
+app.delete('/api/communities/:communityId/addresses/:addressId/codes/:codeId', requireAuth, authorize('codes.manage'),
+    async (req, res) => {
+        try {
+            const code = await findAddressEntry(req.params.communityId, req.params.addressId, 'codes',
+                req.params.codeId);
+
+            const { version } = await store.codes.remove(req.params.communityId, req.params.addressId,
+                req.params.codeId, { expectedVersion: getExpectedVersion(req) });
+            await recordAudit(req, {
+                action: 'code.delete',
+                communityId: req.params.communityId,
+                target: { type: 'code', id: req.params.codeId, addressId: req.params.addressId },
+                before: code && toPublicCode(code)
+            });
+            broadcastCommunity(req.params.communityId);
+
+            setCommunityVersion(res, version);
+            res.status(200).json({ message: 'Code removed successfully' });
+        } catch (error) {
+            errorHandler(res, error, 'Error removing code');
+        }
+    });
+
+/**
+ * Finds the address of a guest pass route in the community loaded by the `authorize` middleware.
+ * Sends a 404 response and returns null if the address does not exist.
+ * @param {Object} req - The request object, with req.community and the addressId param.
+ * @param {Object} res - The response object.
+ * @returns {{community: Object, address: Object}|null} The community and address.
+ */
+function getGuestPassAddress(req, res) {
+    const address = req.community.addresses.find(a => a.id === req.params.addressId);
+    if (!address) {
+        res.status(404).json({ error: 'Address not found' });
+        return null;
+    }
+    return { community: req.community, address };
+}
+
+// Route to list the addresses the logged-in user is a resident of, with their guest passes
+app.get('/api/guest-passes', requireAuth, async (req, res) => {
+    try {
+        const communities = await store.communities.list();
+        const addresses = [];
+        communities.forEach(community => {
+            community.addresses
+                .filter(address => isLinkedResident(req.session, address))
+                .forEach(address => addresses.push({
+                    communityId: community.id,
+                    community: community.name,
+                    addressId: address.id,
+                    street: address.street,
+                    passes: (address.codes || []).filter(code => code.guest).map(toPublicCode)
+                }));
         });
 
-        res.status(200).json({ message: 'Code removed successfully' });
+        res.json(addresses);
     } catch (error) {
-        console.error('Error removing code:', error);
-        res.status(500).json({ error: 'Error removing code' });
+        errorHandler(res, error, 'Error fetching guest passes');
     }
 });
 
-// Route to get logs for a community
-app.get('/api/communities/:name/logs', requireAuth, async (req, res) => {
+// Route for residents to invite a guest. The pass is a generated code that only works for the named player within
+// the given time window, and is returned in plaintext only in this response.
+app.post('/api/communities/:communityId/addresses/:addressId/guest-passes', requireAuth,
+    authorize('guestPasses.manage'), async (req, res) => {
+        try {
+            const player = typeof req.body.player === 'string' ? req.body.player.trim() : '';
+            if (player === '') {
+                return res.status(400).json({ error: 'The Roblox username of the guest is required' });
+            }
+            const playerId = req.body.playerId ? String(req.body.playerId) : null;
+            if (playerId && !/^\d+$/.test(playerId)) {
+                return res.status(400).json({ error: 'playerId must be a Roblox player ID' });
+            }
+
+            const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+            const expiresAt = new Date(req.body.expiresAt);
+            if (isNaN(startsAt.getTime()) || isNaN(expiresAt.getTime())) {
+                return res.status(400).json({ error: 'startsAt and expiresAt must be valid dates' });
+            }
+            if (!(expiresAt > startsAt) || !(expiresAt > new Date())) {
+                return res.status(400).json({ error: 'The pass must end in the future and after it starts' });
+            }
+            if (expiresAt - startsAt > MAX_GUEST_PASS_DAYS * 24 * 60 * 60 * 1000) {
+                return res.status(400).json({ error: `A guest pass can cover at most ${MAX_GUEST_PASS_DAYS} days` });
+            }
+
+            if (!getGuestPassAddress(req, res)) {
+                return;
+            }
+
+            const result = await addUniqueCode(req, res, community => {
+                const value = generateUniqueCode(community, CODE_LENGTH, CODE_ALPHABET);
+                if (!value) {
+                    res.status(409).json({ error: 'Could not generate an unused code' });
+                    return null;
+                }
+                return {
+                    value,
+                    fields: {
+                        description: `Guest pass for ${player}`,
+                        expiresAt: expiresAt.toISOString(),
+                        maxUses: null,
+                        remainingUses: null,
+                        startsAt: startsAt.toISOString(),
+                        schedule: null,
+                        allowedUsers: [],
+                        gateIds: [],
+                        guest: { player, playerId },
+                        issuedBy: req.session.username
+                    }
+                };
+            });
+            if (!result) {
+                return;
+            }
+
+            const { code, version, value } = result;
+            await recordAudit(req, {
+                action: 'guest_pass.create',
+                communityId: req.params.communityId,
+                target: { type: 'code', id: code.id, addressId: req.params.addressId },
+                after: toPublicCode(code)
+            });
+            broadcastCommunity(req.params.communityId);
+
+            setCommunityVersion(res, version);
+            res.status(201).json({ ...toPublicCode(code), code: value });
+        } catch (error) {
+            errorHandler(res, error, 'Error creating guest pass');
+        }
+    });
+
+// Route for residents to revoke a guest pass of their address
+app.delete('/api/communities/:communityId/addresses/:addressId/guest-passes/:passId', requireAuth,
+    authorize('guestPasses.manage'), async (req, res) => {
+        try {
+            const target = getGuestPassAddress(req, res);
+            if (!target) {
+                return;
+            }
+            const pass = (target.address.codes || []).find(code => code.id === req.params.passId && code.guest);
+            if (!pass) {
+                return res.status(404).json({ error: 'Guest pass not found' });
+            }
+
+            const { version } = await store.codes.remove(req.params.communityId, req.params.addressId, pass.id,
+                { expectedVersion: getExpectedVersion(req) });
+            await recordAudit(req, {
+                action: 'guest_pass.delete',
+                communityId: req.params.communityId,
+                target: { type: 'code', id: pass.id, addressId: req.params.addressId },
+                before: toPublicCode(pass)
+            });
+            broadcastCommunity(req.params.communityId);
+
+            setCommunityVersion(res, version);
+            res.status(200).json({ message: 'Guest pass revoked successfully' });
+        } catch (error) {
+            errorHandler(res, error, 'Error revoking guest pass');
+        }
+    });
+
+// Route for the dashboard to receive live events as Server-Sent Events, for all communities the user can see.
+// `access-log` events carry new access log entries as they are written, `community-updated` events the complete
+// current state of a created or changed community, and `community-deleted` events the ID of a community that was
+// deleted or that the user can no longer see.
+app.get('/api/events', requireAuth, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tells the browser how long to wait before reconnecting after the connection was lost
+    res.write('retry: 5000\n\n');
+
+    const onAccessLog = ({ community, entry }) => {
+        if (hasCommunityPermission(req.session, community, 'logs.view')) {
+            sendEvent(res, 'access-log', entry);
+        }
+    };
+    const onCommunityUpdated = ({ community, previous }) => {
+        if (canSeeCommunity(req.session, community)) {
+            sendEvent(res, 'community-updated', toSessionCommunity(req.session, community));
+        } else if (previous && canSeeCommunity(req.session, previous)) {
+            sendEvent(res, 'community-deleted', { id: community.id });
+        }
+    };
+    const onCommunityDeleted = ({ community }) => {
+        if (canSeeCommunity(req.session, community)) {
+            sendEvent(res, 'community-deleted', { id: community.id });
+        }
+    };
+    liveEvents.on('access-log', onAccessLog);
+    liveEvents.on('community-updated', onCommunityUpdated);
+    liveEvents.on('community-deleted', onCommunityDeleted);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        liveEvents.off('access-log', onAccessLog);
+        liveEvents.off('community-updated', onCommunityUpdated);
+        liveEvents.off('community-deleted', onCommunityDeleted);
+        clearInterval(heartbeat);
+    });
+});
+
+// Route to get logs for a community, newest first, one page at a time.
+// Optional filters: player, action, gate (exact matches), from and to (ISO dates). Pass the returned nextCursor as
+// cursor to get the next page; it is null on the last page.
+app.get('/api/communities/:name/logs', requireAuth, authorize('logs.view'), async (req, res) => {
+    const communityName = req.params.name;
+    const { player, action, gate, cursor } = req.query;
+    const range = parseDateRange(req.query);
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+    if (!range) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    try {
+        // One more entry than requested tells whether there is another page
+        const logs = await store.accessLogs.listByCommunity(communityName, {
+            limit: limit + 1,
+            player: player || null,
+            action: action || null,
+            gateId: gate || null,
+            from: range.from,
+            to: range.to,
+            after: cursor || null
+        });
+
+        const page = logs.slice(0, limit);
+        res.json({
+            logs: page,
+            nextCursor: logs.length > limit ? page[page.length - 1].id : null
+        });
+    } catch (error) {
+        errorHandler(res, error, 'Error retrieving logs');
+    }
+});
+
+// Columns of the CSV log export, in order
+const ACCESS_LOG_CSV_COLUMNS = [
+    'timestamp', 'community', 'gateId', 'player', 'playerId', 'action', 'allowed', 'reason'
+];
+
+/**
+ * Formats a value as a CSV field. Fields containing quotes, commas or line breaks are quoted, and text that
+ * spreadsheets would run as a formula is prefixed with an apostrophe.
+ * @param {*} value - The value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a chunk to a streamed response and, if the response's buffer is full, waits until it has been sent
+ * (or the client has gone away).
+ * @async
+ * @param {Object} res - The response object.
+ * @param {string} chunk - The data to write.
+ * @returns {Promise<void>}
+ */
+async function writeChunk(res, chunk) {
+    if (res.write(chunk)) {
+        return;
+    }
+    await new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Route to export the logs of a community as CSV (format=csv, default) or newline-delimited JSON (format=ndjson).
+// Takes the same player, action, gate, from and to filters as the logs route. Entries are streamed newest first while
+// they are read, so exports of any size never have to fit into memory.
+app.get('/api/communities/:name/logs/export', requireAuth, authorize('logs.view'), async (req, res) => {
     const communityName = req.params.name;
+    const { player, action, gate } = req.query;
+    const format = req.query.format || 'csv';
+    const range = parseDateRange(req.query);
+
+    if (format !== 'csv' && format !== 'ndjson') {
+        return res.status(400).json({ error: 'format must be csv or ndjson' });
+    }
+    if (!range) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const fileName = `${communityName.replace(/[^\w-]+/g, '_')}-access-logs.${format}`;
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
     try {
-        // Query Firestore for logs
-        const logsSnapshot = await db.collection('access_logs')
-            .where('community', '==', communityName)
-            .orderBy('timestamp', 'desc')
-            .limit(100) // Limit to last 100 logs
-            .get();
-
-        const logs = logsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            timestamp: doc.data().timestamp?.toDate() // Convert Firestore Timestamp to JS Date
-        }));
-
-        res.json(logs);
+        const entries = store.accessLogs.streamByCommunity(communityName, {
+            player: player || null,
+            action: action || null,
+            gateId: gate || null,
+            from: range.from,
+            to: range.to
+        });
+
+        if (format === 'csv') {
+            await writeChunk(res, ACCESS_LOG_CSV_COLUMNS.join(',') + '\r\n');
+        }
+
+        for await (const entry of entries) {
+            // Stop reading when the client cancelled the download
+            if (res.destroyed) {
+                break;
+            }
+
+            if (format === 'csv') {
+                const fields = ACCESS_LOG_CSV_COLUMNS.map(column => toCsvField(entry[column]));
+                await writeChunk(res, fields.join(',') + '\r\n');
+            } else {
+                await writeChunk(res, JSON.stringify(entry) + '\n');
+            }
+        }
+
+        res.end();
     } catch (error) {
-        console.error('Error retrieving logs:', error);
-        res.status(500).json({ error: 'Error retrieving logs' });
+        if (!res.headersSent) {
+            return errorHandler(res, error, 'Error exporting logs');
+        }
+        // Part of the file was already sent, so the download can only be aborted
+        console.error('Error exporting logs:', error);
+        res.destroy(error);
     }
 });
 
 /**
  * Removes expired codes from all addresses in all communities.
- * This function reads the data from the specified data file, iterates through all communities and their addresses,
- * and filters out any codes that have expired. If any expired codes are found and removed, the updated data is written
- * back to the data file. The function logs a message to the console if expired codes are removed.
+ * Only communities that contain expired codes are touched, and each of them is updated in its own transaction so
+ * edits made by admins in the meantime are kept. When ARCHIVE_EXPIRED_CODES is set to `true`, the removed codes are
+ * copied to the expired codes archive instead of being dropped.
  * @async
  * @function removeExpiredCodes
- * @returns {Promise<void>}
+ * @returns {Promise<Array<{communityId: string, community: string, expired: number}>>} The number of expired codes
+ * removed per community, for communities where at least one code expired.
  */
 async function removeExpiredCodes() {
+    const report = [];
+
     try {
-        let jsonData = await readData('communities');
+        const communities = await store.communities.list();
         const now = new Date();
-        let codesRemoved = false;
-
-        jsonData.communities.forEach(community => {
-            community.addresses.forEach(address => {
-                if (address.codes) {
-                    const initialLength = address.codes.length;
-                    address.codes = address.codes.filter(code => new Date(code.expiresAt) > now);
-                    if (address.codes.length < initialLength) {
-                        codesRemoved = true;
+        const isExpired = code => !(new Date(code.expiresAt) > now);
+        const archive = process.env.ARCHIVE_EXPIRED_CODES === 'true';
+
+        for (const community of communities) {
+            const hasExpiredCodes = (community.addresses || [])
+                .some(address => (address.codes || []).some(isExpired));
+
+            if (!hasExpiredCodes) {
+                continue;
+            }
+
+            try {
+                const removed = await store.communities.removeCodesWhere(community.id, isExpired, { archive });
+                if (removed.length > 0) {
+                    await recordAudit(null, {
+                        action: archive ? 'code.archive' : 'code.expire',
+                        communityId: community.id,
+                        target: { type: 'community', id: community.id },
+                        before: { codes: removed.map(toPublicCode) }
+                    });
+                    broadcastCommunity(community.id);
+                    for (const pass of removed.filter(code => code.guest)) {
+                        await addAccessLog(community, {
+                            community: community.name,
+                            player: pass.guest.player,
+                            playerId: pass.guest.playerId,
+                            action: `Guest pass expired (issued by ${pass.issuedBy})`
+                        });
                     }
+                    report.push({ communityId: community.id, community: community.name, expired: removed.length });
+                    const outcome = archive ? 'archived' : 'removed';
+                    console.log(`${removed.length} expired code(s) ${outcome} in ${community.name}`);
                 }
-            });
-        });
-
-        if (codesRemoved) {
-            await writeData('communities', jsonData);
-            console.log('Expired codes removed');
+            } catch (error) {
+                console.error(`Error removing expired codes in ${community.name}:`, error);
+            }
         }
     } catch (error) {
         console.error('Error removing expired codes:', error);
     }
+
+    return report;
 }
 
 // Set interval to remove expired codes every 60 seconds
 setInterval(removeExpiredCodes, 60000);
 
-// Route to serve the main API data file
-app.get('/api', limiter, async (req, res) => {
+/**
+ * Ends the lockdowns whose expiresAt has passed, so dashboards and game servers see the gates open again.
+ * A lockdown that an admin restarted in the meantime is left alone.
+ * @async
+ * @function endExpiredLockdowns
+ * @returns {Promise<void>}
+ */
+async function endExpiredLockdowns() {
+    try {
+        const communities = await store.communities.list();
+
+        for (const community of communities) {
+            if (!community.lockdown || getActiveLockdown(community)) {
+                continue;
+            }
+
+            try {
+                await store.communities.update(community.id, {
+                    lockdown: null
+                }, { expectedVersion: community.version });
+                await recordAudit(null, {
+                    action: 'community.lockdown.expire',
+                    communityId: community.id,
+                    target: { type: 'community', id: community.id },
+                    before: { lockdown: community.lockdown },
+                    after: { lockdown: null }
+                });
+                await addAccessLog(community, {
+                    community: community.name,
+                    player: 'system',
+                    action: 'Lockdown expired'
+                });
+                broadcastCommunity(community.id);
+                console.log(`Lockdown of ${community.name} expired`);
+            } catch (error) {
+                if (!(error instanceof ConflictError)) {
+                    console.error(`Error ending the lockdown of ${community.name}:`, error);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error ending expired lockdowns:', error);
+    }
+}
+
+// Set interval to end expired lockdowns every 60 seconds
+setInterval(endExpiredLockdowns, 60000);
+
+// Route to serve the community data of the API key's community to game servers
+app.get('/api', limiter, requireApiKey, requireSignature, async (req, res) => {
     try {
-        const snapshot = await db.collection('communities').get();
-        const communities = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const community = await store.communities.get(req.apiKey.communityId);
+        const communities = community ? [toGameCommunity(community)] : [];
 
         res.json({ communities });
     } catch (error) {
@@ -0,0 +1,32 @@
+/**
+ * @file storage/errors.js
+ * @description Errors thrown by the storage backends.
+ */
+
+/**
+ * Thrown when a document that an operation needs does not exist, e.g. when adding a code to a deleted address.
+ * The message is safe to send to the client.
+ */
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Thrown when a change to a community was based on an outdated version of it, i.e. someone else changed the
+ * community in the meantime. The change is not applied.
+ */
+class ConflictError extends Error {
+    /**
+     * @param {string} communityId - The ID of the community that was changed in the meantime.
+     */
+    constructor(communityId) {
+        super('The community was changed by someone else');
+        this.name = 'ConflictError';
+        this.communityId = communityId;
+    }
+}
+
+module.exports = { NotFoundError, ConflictError };
@@ -0,0 +1,582 @@
+/**
+ * @file storage/firestore.js
+ * @description Storage backend that keeps users, communities, access and audit logs and API keys in Firebase Firestore.
+ * The addresses, people and codes of a community are stored in the `addresses`, `people` and `codes`
+ * subcollections of the community document; people and codes reference their address through `addressId`.
+ */
+const admin = require('firebase-admin');
+const { NotFoundError, ConflictError } = require('./errors');
+
+// Maximum number of writes Firestore accepts in one batch
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Converts a Firestore document into a plain object with its ID.
+ * Firestore Timestamps are converted to JavaScript Dates.
+ * @param {Object} doc - The Firestore document snapshot.
+ * @returns {Object} The document data including its ID.
+ */
+function fromDoc(doc) {
+    const data = doc.data();
+    Object.keys(data).forEach(key => {
+        if (data[key] instanceof admin.firestore.Timestamp) {
+            data[key] = data[key].toDate();
+        }
+    });
+    return { id: doc.id, ...data };
+}
+
+/**
+ * Returns the version of a community document. Communities created before versions were introduced are version 0.
+ * @param {Object} doc - The community document snapshot.
+ * @returns {number} The version.
+ */
+function versionOf(doc) {
+    return doc.data().version || 0;
+}
+
+/**
+ * Sorts documents by their `createdAt` ISO string, oldest first.
+ * @param {Object} a - The first document.
+ * @param {Object} b - The second document.
+ * @returns {number} The sort order.
+ */
+function byCreatedAt(a, b) {
+    return String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+}
+
+/**
+ * Removes the `addressId` reference from a person or code before it is nested into its address.
+ * @param {Object} entry - The person or code.
+ * @returns {Object} The entry without `addressId`.
+ */
+function withoutAddressId(entry) {
+    const { addressId, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * Initializes Firebase from the FIREBASE_* environment variables.
+ * @returns {Object} The Firestore instance.
+ */
+function initializeFirestore() {
+    admin.initializeApp({
+        credential: admin.credential.cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL
+        }),
+        databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`
+    });
+
+    return admin.firestore();
+}
+
+/**
+ * Deletes all documents matching a query, in batches of at most MAX_BATCH_SIZE writes.
+ * @param {Object} query - The Firestore query.
+ * @returns {Promise<void>}
+ */
+async function deleteQueryResults(query) {
+    const snapshot = await query.get();
+    for (let i = 0; i < snapshot.docs.length; i += MAX_BATCH_SIZE) {
+        const batch = query.firestore.batch();
+        snapshot.docs.slice(i, i + MAX_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+}
+
+/**
+ * Initializes Firebase and creates the Firestore store.
+ * @returns {Object} The store, see storage/index.js for its interface.
+ */
+function createFirestoreStore() {
+    const db = initializeFirestore();
+
+    const collections = {
+        users: db.collection('users'),
+        communities: db.collection('communities'),
+        accessLogs: db.collection('access_logs'),
+        auditLogs: db.collection('audit_logs'),
+        apiKeys: db.collection('api_keys'),
+        expiredCodes: db.collection('expired_codes')
+    };
+
+    const users = {
+        async list() {
+            const snapshot = await collections.users.get();
+            return snapshot.docs.map(fromDoc);
+        },
+
+        async get(id) {
+            const doc = await collections.users.doc(id).get();
+            return doc.exists ? fromDoc(doc) : null;
+        },
+
+        async findByUsername(username) {
+            const snapshot = await collections.users
+                .where('username', '==', username.toLowerCase())
+                .limit(1)
+                .get();
+            return snapshot.empty ? null : fromDoc(snapshot.docs[0]);
+        },
+
+        async findByRole(role) {
+            const snapshot = await collections.users.where('role', '==', role).get();
+            return snapshot.docs.map(fromDoc);
+        },
+
+        async create(data) {
+            const docRef = await collections.users.add({
+                ...data,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return users.get(docRef.id);
+        },
+
+        async update(id, fields) {
+            await collections.users.doc(id).update(fields);
+        },
+
+        async delete(id) {
+            await collections.users.doc(id).delete();
+        }
+    };
+
+    /**
+     * Reads the addresses, people and codes of a community document and nests them like the API returns them.
+     * @param {Object} doc - The community document snapshot.
+     * @returns {Promise<Object>} The community with its `addresses` array.
+     */
+    async function assembleCommunity(doc) {
+        const [addressesSnapshot, peopleSnapshot, codesSnapshot] = await Promise.all([
+            doc.ref.collection('addresses').get(),
+            doc.ref.collection('people').get(),
+            doc.ref.collection('codes').get()
+        ]);
+
+        const addresses = addressesSnapshot.docs
+            .map(addressDoc => ({ ...fromDoc(addressDoc), people: [], codes: [] }))
+            .sort(byCreatedAt);
+        const addressesById = new Map(addresses.map(address => [address.id, address]));
+
+        peopleSnapshot.docs.map(fromDoc).sort(byCreatedAt).forEach(person => {
+            addressesById.get(person.addressId)?.people.push(withoutAddressId(person));
+        });
+        codesSnapshot.docs.map(fromDoc).sort(byCreatedAt).forEach(code => {
+            addressesById.get(code.addressId)?.codes.push(withoutAddressId(code));
+        });
+
+        return { ...fromDoc(doc), version: versionOf(doc), addresses };
+    }
+
+    const communities = {
+        async list() {
+            const snapshot = await collections.communities.get();
+            return Promise.all(snapshot.docs.map(assembleCommunity));
+        },
+
+        async get(id) {
+            const doc = await collections.communities.doc(id).get();
+            return doc.exists ? assembleCommunity(doc) : null;
+        },
+
+        async findByName(name) {
+            const snapshot = await collections.communities
+                .where('name', '==', name)
+                .limit(1)
+                .get();
+            return snapshot.empty ? null : assembleCommunity(snapshot.docs[0]);
+        },
+
+        async count() {
+            const snapshot = await collections.communities.count().get();
+            return snapshot.data().count;
+        },
+
+        async create(data) {
+            const docRef = await collections.communities.add({
+                ...data,
+                version: 0,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return communities.get(docRef.id);
+        },
+
+        async update(id, fields, { expectedVersion } = {}) {
+            const { version } = await runAddressTransaction(id, null, expectedVersion, (transaction, communityRef) => {
+                transaction.update(communityRef, fields);
+            });
+            return { version };
+        },
+
+        async delete(id) {
+            const communityRef = collections.communities.doc(id);
+            const communityDoc = await communityRef.get();
+            if (!communityDoc.exists) {
+                return;
+            }
+
+            // Related documents are deleted first, so a failure never leaves them behind without their community
+            await deleteQueryResults(collections.accessLogs.where('community', '==', communityDoc.data().name));
+            await deleteQueryResults(collections.apiKeys.where('communityId', '==', id));
+            await deleteQueryResults(collections.expiredCodes.where('communityId', '==', id));
+
+            // Deletes the community together with its addresses, people and codes
+            await db.recursiveDelete(communityRef);
+        },
+
+        async removeCodesWhere(id, predicate, { archive }) {
+            const communityRef = collections.communities.doc(id);
+
+            // Read and write in one transaction so concurrent edits of the community are not overwritten
+            return db.runTransaction(async transaction => {
+                const doc = await transaction.get(communityRef);
+                if (!doc.exists) {
+                    return [];
+                }
+
+                const codesSnapshot = await transaction.get(communityRef.collection('codes'));
+                const removedDocs = codesSnapshot.docs.filter(codeDoc => predicate(fromDoc(codeDoc)));
+
+                if (removedDocs.length === 0) {
+                    return [];
+                }
+
+                removedDocs.forEach(codeDoc => {
+                    transaction.delete(codeDoc.ref);
+
+                    if (archive) {
+                        transaction.set(collections.expiredCodes.doc(), {
+                            ...codeDoc.data(),
+                            codeId: codeDoc.id,
+                            communityId: id,
+                            archivedAt: admin.firestore.FieldValue.serverTimestamp()
+                        });
+                    }
+                });
+
+                transaction.update(communityRef, {
+                    version: versionOf(doc) + 1,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+
+                return removedDocs.map(fromDoc);
+            });
+        },
+
+        async removeAllowedUser(username) {
+            const snapshot = await collections.communities
+                .where('allowedUsers', 'array-contains', username)
+                .get();
+
+            const batch = db.batch();
+            snapshot.docs.forEach(doc => {
+                // Usernames may contain dots, so the role is addressed with a FieldPath instead of a dotted string
+                batch.update(doc.ref,
+                    'allowedUsers', admin.firestore.FieldValue.arrayRemove(username),
+                    new admin.firestore.FieldPath('userRoles', username), admin.firestore.FieldValue.delete(),
+                    'version', admin.firestore.FieldValue.increment(1),
+                    'updatedAt', admin.firestore.FieldValue.serverTimestamp());
+            });
+            await batch.commit();
+
+            return snapshot.docs.map(doc => {
+                const community = fromDoc(doc);
+                const { [username]: removedRole, ...userRoles } = community.userRoles || {};
+                return {
+                    ...community,
+                    version: versionOf(doc) + 1,
+                    allowedUsers: community.allowedUsers.filter(allowedUser => allowedUser !== username),
+                    userRoles
+                };
+            });
+        }
+    };
+
+    /**
+     * Runs a transaction that changes a community, its addresses or their people and codes.
+     * The community and address are read first; NotFoundError is thrown if either does not exist, and ConflictError
+     * if the community's version is not the expected one. The community's `version` is incremented and its
+     * `updatedAt` set in the same transaction.
+     * @param {string} communityId - The ID of the community.
+     * @param {string|null} addressId - The ID of the address, or null if the change does not concern an address.
+     * @param {number|undefined} expectedVersion - The version the change is based on, or undefined to skip the check.
+     * @param {Function} fn - Called with the transaction, the community reference and the address reference;
+     * the properties of the object it returns are added to the result.
+     * @returns {Promise<Object>} The result of fn with the new `version` of the community.
+     */
+    function runAddressTransaction(communityId, addressId, expectedVersion, fn) {
+        const communityRef = collections.communities.doc(communityId);
+
+        return db.runTransaction(async transaction => {
+            const communityDoc = await transaction.get(communityRef);
+            if (!communityDoc.exists) {
+                throw new NotFoundError('Community not found');
+            }
+            if (expectedVersion !== undefined && expectedVersion !== versionOf(communityDoc)) {
+                throw new ConflictError(communityId);
+            }
+
+            let addressRef = null;
+            if (addressId) {
+                addressRef = communityRef.collection('addresses').doc(addressId);
+                const addressDoc = await transaction.get(addressRef);
+                if (!addressDoc.exists) {
+                    throw new NotFoundError('Address not found');
+                }
+            }
+
+            const result = await fn(transaction, communityRef, addressRef);
+            const version = versionOf(communityDoc) + 1;
+
+            transaction.update(communityRef, {
+                version,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return { ...result, version };
+        });
+    }
+
+    /**
+     * Creates the add/update/remove operations for people or codes, which are stored the same way.
+     * @param {string} subcollection - The name of the subcollection (`people` or `codes`).
+     * @param {string} entryName - The name of the entry in the result of add and update (`person` or `code`).
+     * @param {string} notFoundMessage - The error message when the entry to change does not exist.
+     * @returns {Object} The operations.
+     */
+    function addressEntries(subcollection, entryName, notFoundMessage) {
+        return {
+            async add(communityId, addressId, fields, { expectedVersion } = {}) {
+                return runAddressTransaction(communityId, addressId, expectedVersion, (transaction, communityRef) => {
+                    const entryRef = communityRef.collection(subcollection).doc();
+                    const entry = { ...fields, createdAt: new Date().toISOString() };
+                    transaction.set(entryRef, { ...entry, addressId });
+                    return { [entryName]: { id: entryRef.id, ...entry } };
+                });
+            },
+
+            async update(communityId, addressId, entryId, fields, { expectedVersion } = {}) {
+                return runAddressTransaction(communityId, addressId, expectedVersion,
+                    async (transaction, communityRef) => {
+                        const entryRef = communityRef.collection(subcollection).doc(entryId);
+                        const entryDoc = await transaction.get(entryRef);
+                        if (!entryDoc.exists || entryDoc.data().addressId !== addressId) {
+                            throw new NotFoundError(notFoundMessage);
+                        }
+
+                        const changes = {};
+                        const entry = withoutAddressId(entryDoc.data());
+                        for (const [field, value] of Object.entries(fields)) {
+                            changes[field] = value === undefined ? admin.firestore.FieldValue.delete() : value;
+                            if (value === undefined) {
+                                delete entry[field];
+                            } else {
+                                entry[field] = value;
+                            }
+                        }
+                        transaction.update(entryRef, changes);
+                        return { [entryName]: { id: entryRef.id, ...entry } };
+                    });
+            },
+
+            async remove(communityId, addressId, entryId, { expectedVersion } = {}) {
+                return runAddressTransaction(communityId, addressId, expectedVersion,
+                    async (transaction, communityRef) => {
+                        const entryRef = communityRef.collection(subcollection).doc(entryId);
+                        const entryDoc = await transaction.get(entryRef);
+                        if (!entryDoc.exists || entryDoc.data().addressId !== addressId) {
+                            throw new NotFoundError(notFoundMessage);
+                        }
+                        transaction.delete(entryRef);
+                    });
+            }
+        };
+    }
+
+    const addresses = {
+        async add(communityId, fields, { expectedVersion } = {}) {
+            return runAddressTransaction(communityId, null, expectedVersion, (transaction, communityRef) => {
+                const addressRef = communityRef.collection('addresses').doc();
+                const address = { ...fields, createdAt: new Date().toISOString() };
+                transaction.set(addressRef, address);
+                return { address: { id: addressRef.id, ...address, people: [], codes: [] } };
+            });
+        },
+
+        async remove(communityId, addressId, { expectedVersion } = {}) {
+            return runAddressTransaction(communityId, addressId, expectedVersion,
+                async (transaction, communityRef, addressRef) => {
+                    const [peopleSnapshot, codesSnapshot] = await Promise.all([
+                        transaction.get(communityRef.collection('people').where('addressId', '==', addressId)),
+                        transaction.get(communityRef.collection('codes').where('addressId', '==', addressId))
+                    ]);
+
+                    peopleSnapshot.docs.forEach(doc => transaction.delete(doc.ref));
+                    codesSnapshot.docs.forEach(doc => transaction.delete(doc.ref));
+                    transaction.delete(addressRef);
+                });
+        }
+    };
+
+    const people = addressEntries('people', 'person', 'Person not found');
+
+    const codes = {
+        ...addressEntries('codes', 'code', 'Code not found'),
+
+        async consume(communityId, addressId, codeId, { archive }) {
+            return runAddressTransaction(communityId, addressId, undefined, async (transaction, communityRef) => {
+                const codeRef = communityRef.collection('codes').doc(codeId);
+                const codeDoc = await transaction.get(codeRef);
+                if (!codeDoc.exists || codeDoc.data().addressId !== addressId) {
+                    throw new NotFoundError('Code not found');
+                }
+                if (typeof codeDoc.data().remainingUses !== 'number') {
+                    return { remainingUses: null, removed: false };
+                }
+                if (codeDoc.data().remainingUses <= 0) {
+                    throw new NotFoundError('Code not found');
+                }
+
+                const remainingUses = codeDoc.data().remainingUses - 1;
+                if (remainingUses > 0) {
+                    transaction.update(codeRef, { remainingUses });
+                    return { remainingUses, removed: false };
+                }
+
+                transaction.delete(codeRef);
+                if (archive) {
+                    transaction.set(collections.expiredCodes.doc(), {
+                        ...codeDoc.data(),
+                        remainingUses,
+                        codeId,
+                        communityId,
+                        reason: 'used_up',
+                        archivedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+                return { remainingUses, removed: true };
+            });
+        }
+    };
+
+    /**
+     * Builds the query for the access logs of a community that match the filters, newest first.
+     * @param {string} communityName - The name of the community.
+     * @param {Object} filters - The optional `player`, `action`, `gateId`, `from` and `to` filters.
+     * @returns {Object} The Firestore query.
+     */
+    function accessLogQuery(communityName, { player, action, gateId, from, to }) {
+        let query = collections.accessLogs.where('community', '==', communityName);
+        if (player) {
+            query = query.where('player', '==', player);
+        }
+        if (gateId) {
+            query = query.where('gateId', '==', gateId);
+        }
+        if (action) {
+            query = query.where('action', '==', action);
+        }
+        if (from) {
+            query = query.where('timestamp', '>=', from);
+        }
+        if (to) {
+            query = query.where('timestamp', '<=', to);
+        }
+        return query.orderBy('timestamp', 'desc');
+    }
+
+    const accessLogs = {
+        async add(entry) {
+            const docRef = await collections.accessLogs.add({
+                ...entry,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            // The server timestamp is only known after another read, the local time is close enough for callers
+            return { id: docRef.id, ...entry, timestamp: new Date() };
+        },
+
+        async listByCommunity(communityName, { limit, after, ...filters }) {
+            let query = accessLogQuery(communityName, filters);
+
+            if (after) {
+                const cursorDoc = await collections.accessLogs.doc(after).get();
+                if (!cursorDoc.exists || cursorDoc.data().community !== communityName) {
+                    throw new NotFoundError('Cursor not found');
+                }
+                query = query.startAfter(cursorDoc);
+            }
+
+            const snapshot = await query.limit(limit).get();
+            return snapshot.docs.map(fromDoc);
+        },
+
+        async *streamByCommunity(communityName, filters) {
+            const query = accessLogQuery(communityName, filters);
+            let lastDoc = null;
+
+            // Reads one batch at a time, so large exports never have to fit into memory
+            do {
+                const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).limit(MAX_BATCH_SIZE).get();
+                for (const doc of snapshot.docs) {
+                    yield fromDoc(doc);
+                }
+                lastDoc = snapshot.size === MAX_BATCH_SIZE ? snapshot.docs[snapshot.size - 1] : null;
+            } while (lastDoc);
+        }
+    };
+
+    const auditLogs = {
+        async add(entry) {
+            await collections.auditLogs.add({
+                ...entry,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        },
+
+        async list({ actor, communityId, from, to, limit }) {
+            let query = collections.auditLogs;
+            if (actor) {
+                query = query.where('actor', '==', actor);
+            }
+            if (communityId) {
+                query = query.where('communityId', '==', communityId);
+            }
+            if (from) {
+                query = query.where('timestamp', '>=', from);
+            }
+            if (to) {
+                query = query.where('timestamp', '<=', to);
+            }
+
+            const snapshot = await query.orderBy('timestamp', 'desc').limit(limit).get();
+            return snapshot.docs.map(fromDoc);
+        }
+    };
+
+    const apiKeys = {
+        async get(id) {
+            const doc = await collections.apiKeys.doc(id).get();
+            return doc.exists ? fromDoc(doc) : null;
+        },
+
+        async listByCommunity(communityId) {
+            const snapshot = await collections.apiKeys.where('communityId', '==', communityId).get();
+            return snapshot.docs.map(fromDoc);
+        },
+
+        async create(id, data) {
+            await collections.apiKeys.doc(id).set(data);
+            return { id, ...data };
+        },
+
+        async update(id, fields) {
+            await collections.apiKeys.doc(id).update(fields);
+        }
+    };
+
+    return { users, communities, addresses, people, codes, accessLogs, auditLogs, apiKeys };
+}
+
+module.exports = { createFirestoreStore, initializeFirestore, MAX_BATCH_SIZE };
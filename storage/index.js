@@ -0,0 +1,66 @@
+/**
+ * @file storage/index.js
+ * @description Selects the storage backend used by the server.
+ *
+ * Set STORAGE_BACKEND to `firestore` (default) to use Firebase Firestore, or to `local` to keep all data in JSON
+ * files in LOCAL_DATA_DIR (default: `data/` next to server.js).
+ *
+ * Every backend returns a store with the same interface. All methods are async; documents are returned as plain
+ * objects including their `id`, and timestamps as Dates. Communities are returned with an `addresses` array, each
+ * address with its `people` and `codes`. Adding or removing addresses, people and codes throws a NotFoundError
+ * (see storage/errors.js) if the community, address or entry does not exist.
+ *
+ * Communities carry a `version` that is incremented on every change to them or their addresses, people and codes.
+ * communities.update and the add/remove methods of addresses, people and codes take `{ expectedVersion }` as their
+ * last argument and throw a ConflictError instead of changing anything if the community is at another version.
+ * They resolve to `{ version }` with the new version; add also returns the new entry as `address`, `person` or
+ * `code`.
+ *
+ * - `users`: list(), get(id), findByUsername(username), findByRole(role), create(data), update(id, fields),
+ *   delete(id)
+ * - `communities`: list(), get(id), findByName(name), count(), create(data), update(id, fields, options) (not for
+ *   addresses, see below),
+ *   delete(id) (also deletes the community's access logs, API keys and archived codes),
+ *   removeCodesWhere(id, predicate, { archive }) (atomically removes the codes of all addresses for which
+ *   predicate(code) is true, optionally copying them to the expired codes archive; returns the removed codes with
+ *   their `addressId`), removeAllowedUser(username) (also drops their entry in
+ *   `userRoles`; returns the communities that were changed)
+ * - `addresses`: add(communityId, data, options), remove(communityId, addressId, options)
+ * - `people` and `codes`: add(communityId, addressId, data, options), update(communityId, addressId, id, fields,
+ *   options) (fields set to undefined are deleted; returns the updated entry like add), remove(communityId, addressId,
+ *   id, options)
+ * - `codes` also: consume(communityId, addressId, codeId, { archive }) (atomically takes one use of a code with
+ *   `remainingUses` and removes the code, optionally archiving it, when none are left; resolves to
+ *   `{ remainingUses, removed, version }` and throws a NotFoundError if the code is gone or used up; codes without
+ *   `remainingUses` are unlimited and left unchanged)
+ * - `accessLogs`: add(entry) (returns the stored entry),
+ *   listByCommunity(communityName, { limit, player, action, gateId, from, to, after }) (newest first; filters are
+ *   optional, from/to are Dates, and `after` is the ID of the last entry of the previous page),
+ *   streamByCommunity(communityName, { player, action, gateId, from, to }) (an async iterable of all matching
+ *   entries, newest first, read in batches)
+ * - `auditLogs`: add(entry), list({ actor, communityId, from, to, limit }) (newest first; filters are optional,
+ *   from/to are Dates)
+ * - `apiKeys`: get(id), listByCommunity(communityId), create(id, data), update(id, fields)
+ */
+const path = require('path');
+
+/**
+ * Creates the store selected by the STORAGE_BACKEND environment variable.
+ * @returns {Object} The store.
+ */
+function createStore() {
+    const backend = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+
+    if (backend === 'firestore') {
+        return require('./firestore').createFirestoreStore();
+    }
+
+    if (backend === 'local') {
+        const dataDir = process.env.LOCAL_DATA_DIR || path.join(__dirname, '..', 'data');
+        return require('./local').createLocalStore({ dataDir });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected "firestore" or "local"`);
+}
+
+module.exports = { createStore };
@@ -0,0 +1,531 @@
+/**
+ * @file storage/local.js
+ * @description Storage backend that keeps all data in JSON files on disk, for running the app without Firebase.
+ * Users, communities and API keys are stored as one JSON array per collection; access and audit logs are appended to
+ * newline-delimited JSON files. Addresses, people and codes stay nested in their community, since a single process
+ * owns the files and every change is written as a whole. Everything is loaded into memory at startup, so only one
+ * server process may use a data directory at a time.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { NotFoundError, ConflictError } = require('./errors');
+
+/**
+ * Generates a random document ID.
+ * @returns {string} The ID.
+ */
+function generateId() {
+    return crypto.randomBytes(10).toString('hex');
+}
+
+/**
+ * Creates a store backed by JSON files in the given directory. The directory is created if it does not exist.
+ * @param {Object} options - The store options.
+ * @param {string} options.dataDir - The directory holding the data files.
+ * @returns {Object} The store, see storage/index.js for its interface.
+ */
+function createLocalStore({ dataDir }) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    const files = {
+        users: path.join(dataDir, 'users.json'),
+        communities: path.join(dataDir, 'communities.json'),
+        apiKeys: path.join(dataDir, 'api_keys.json'),
+        expiredCodes: path.join(dataDir, 'expired_codes.json'),
+        accessLogs: path.join(dataDir, 'access_logs.ndjson'),
+        auditLogs: path.join(dataDir, 'audit_logs.ndjson')
+    };
+
+    /**
+     * Reads a JSON array collection file, or returns an empty array if it does not exist yet.
+     * @param {string} file - The path to the file.
+     * @returns {Array<Object>} The documents.
+     */
+    function readCollection(file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Reads a newline-delimited JSON log file, or returns an empty array if it does not exist yet.
+     * @param {string} file - The path to the file.
+     * @returns {Array<Object>} The entries.
+     */
+    function readLog(file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Writes a collection to its file. The data is written to a temporary file first and then renamed,
+     * so a crash never leaves a half-written file behind.
+     * @param {string} name - The collection name.
+     */
+    function persist(name) {
+        const tempFile = `${files[name]}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data[name], null, 2));
+        fs.renameSync(tempFile, files[name]);
+    }
+
+    /**
+     * Rewrites the access log file from memory.
+     */
+    function persistAccessLogs() {
+        const tempFile = `${files.accessLogs}.tmp`;
+        fs.writeFileSync(tempFile, data.accessLogs.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.renameSync(tempFile, files.accessLogs);
+    }
+
+    /**
+     * Returns a copy of a stored document so callers cannot modify the in-memory data by accident.
+     * Timestamps are stored as ISO strings and returned as Dates, like the Firestore backend does.
+     * @param {Object|undefined} doc - The stored document.
+     * @returns {Object|null} The copy, or null if there is no document.
+     */
+    function copy(doc) {
+        if (!doc) {
+            return null;
+        }
+        const result = structuredClone(doc);
+        ['createdAt', 'updatedAt', 'timestamp'].forEach(key => {
+            if (typeof result[key] === 'string') {
+                result[key] = new Date(result[key]);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Returns a copy of a stored community. Communities stored before versions were introduced are version 0.
+     * @param {Object|undefined} community - The stored community.
+     * @returns {Object|null} The copy, or null if there is no community.
+     */
+    function copyCommunity(community) {
+        return community ? { version: 0, ...copy(community) } : null;
+    }
+
+    /**
+     * Throws a ConflictError if a stored community is no longer at the version a change is based on.
+     * @param {Object} community - The stored community.
+     * @param {number|undefined} expectedVersion - The version the change is based on, or undefined to skip the check.
+     * @throws {ConflictError} If the versions differ.
+     */
+    function checkVersion(community, expectedVersion) {
+        if (expectedVersion !== undefined && expectedVersion !== (community.version || 0)) {
+            throw new ConflictError(community.id);
+        }
+    }
+
+    /**
+     * Increments the version of a changed community, sets its `updatedAt` and writes all communities.
+     * @param {Object} community - The stored community.
+     * @returns {number} The new version.
+     */
+    function saveCommunity(community) {
+        community.version = (community.version || 0) + 1;
+        community.updatedAt = new Date().toISOString();
+        persist('communities');
+        return community.version;
+    }
+
+    const data = {
+        users: readCollection(files.users),
+        communities: readCollection(files.communities),
+        apiKeys: readCollection(files.apiKeys),
+        expiredCodes: readCollection(files.expiredCodes),
+        accessLogs: readLog(files.accessLogs),
+        auditLogs: readLog(files.auditLogs)
+    };
+
+    const users = {
+        async list() {
+            return data.users.map(copy);
+        },
+
+        async get(id) {
+            return copy(data.users.find(user => user.id === id));
+        },
+
+        async findByUsername(username) {
+            return copy(data.users.find(user => user.username === username.toLowerCase()));
+        },
+
+        async findByRole(role) {
+            return data.users.filter(user => user.role === role).map(copy);
+        },
+
+        async create(fields) {
+            const user = { id: generateId(), ...fields, createdAt: new Date().toISOString() };
+            data.users.push(user);
+            persist('users');
+            return copy(user);
+        },
+
+        async update(id, fields) {
+            const user = data.users.find(u => u.id === id);
+            if (user) {
+                Object.assign(user, structuredClone(fields));
+                persist('users');
+            }
+        },
+
+        async delete(id) {
+            data.users = data.users.filter(user => user.id !== id);
+            persist('users');
+        }
+    };
+
+    const communities = {
+        async list() {
+            return data.communities.map(copyCommunity);
+        },
+
+        async get(id) {
+            return copyCommunity(data.communities.find(community => community.id === id));
+        },
+
+        async findByName(name) {
+            return copyCommunity(data.communities.find(community => community.name === name));
+        },
+
+        async count() {
+            return data.communities.length;
+        },
+
+        async create(fields) {
+            const community = {
+                id: generateId(),
+                ...structuredClone(fields),
+                addresses: [],
+                version: 0,
+                createdAt: new Date().toISOString()
+            };
+            data.communities.push(community);
+            persist('communities');
+            return copyCommunity(community);
+        },
+
+        async update(id, fields, { expectedVersion } = {}) {
+            const { community } = findAddress(id);
+            checkVersion(community, expectedVersion);
+
+            Object.assign(community, structuredClone(fields));
+            return { version: saveCommunity(community) };
+        },
+
+        async delete(id) {
+            const community = data.communities.find(c => c.id === id);
+            if (!community) {
+                return;
+            }
+
+            data.communities = data.communities.filter(c => c.id !== id);
+            data.accessLogs = data.accessLogs.filter(entry => entry.community !== community.name);
+            data.apiKeys = data.apiKeys.filter(apiKey => apiKey.communityId !== id);
+            data.expiredCodes = data.expiredCodes.filter(code => code.communityId !== id);
+            persist('communities');
+            persist('apiKeys');
+            persist('expiredCodes');
+            persistAccessLogs();
+        },
+
+        async removeCodesWhere(id, predicate, { archive }) {
+            const community = data.communities.find(c => c.id === id);
+            if (!community) {
+                return [];
+            }
+
+            const removed = [];
+            (community.addresses || []).forEach(address => {
+                if (!address.codes) {
+                    return;
+                }
+                address.codes = address.codes.filter(code => {
+                    if (predicate(code)) {
+                        removed.push({ ...code, addressId: address.id });
+                        return false;
+                    }
+                    return true;
+                });
+            });
+
+            if (removed.length === 0) {
+                return [];
+            }
+
+            saveCommunity(community);
+
+            if (archive) {
+                const archivedAt = new Date().toISOString();
+                removed.forEach(code => {
+                    data.expiredCodes.push({ ...code, id: generateId(), codeId: code.id, communityId: id, archivedAt });
+                });
+                persist('expiredCodes');
+            }
+
+            return removed.map(copy);
+        },
+
+        async removeAllowedUser(username) {
+            const updated = data.communities.filter(community =>
+                community.allowedUsers && community.allowedUsers.includes(username));
+
+            updated.forEach(community => {
+                community.allowedUsers = community.allowedUsers.filter(allowedUser => allowedUser !== username);
+                if (community.userRoles) {
+                    delete community.userRoles[username];
+                }
+                saveCommunity(community);
+            });
+
+            return updated.map(copyCommunity);
+        }
+    };
+
+    /**
+     * Finds a community and, optionally, one of its addresses in the in-memory data.
+     * @param {string} communityId - The ID of the community.
+     * @param {string} [addressId] - The ID of the address.
+     * @returns {{community: Object, address: (Object|undefined)}} The stored community and address.
+     * @throws {NotFoundError} If the community or address does not exist.
+     */
+    function findAddress(communityId, addressId) {
+        const community = data.communities.find(c => c.id === communityId);
+        if (!community) {
+            throw new NotFoundError('Community not found');
+        }
+        if (addressId === undefined) {
+            return { community };
+        }
+
+        const address = (community.addresses || []).find(a => a.id === addressId);
+        if (!address) {
+            throw new NotFoundError('Address not found');
+        }
+        return { community, address };
+    }
+
+    /**
+     * Creates the add/update/remove operations for people or codes, which are stored the same way.
+     * @param {string} key - The name of the array on the address (`people` or `codes`).
+     * @param {string} entryName - The name of the entry in the result of add and update (`person` or `code`).
+     * @param {string} notFoundMessage - The error message when the entry to change does not exist.
+     * @returns {Object} The operations.
+     */
+    function addressEntries(key, entryName, notFoundMessage) {
+        return {
+            async add(communityId, addressId, fields, { expectedVersion } = {}) {
+                const { community, address } = findAddress(communityId, addressId);
+                checkVersion(community, expectedVersion);
+                const entry = { id: generateId(), ...structuredClone(fields), createdAt: new Date().toISOString() };
+
+                address[key] = address[key] || [];
+                address[key].push(entry);
+
+                return { [entryName]: copy(entry), version: saveCommunity(community) };
+            },
+
+            async update(communityId, addressId, entryId, fields, { expectedVersion } = {}) {
+                const { community, address } = findAddress(communityId, addressId);
+                checkVersion(community, expectedVersion);
+                const entry = (address[key] || []).find(e => e.id === entryId);
+                if (!entry) {
+                    throw new NotFoundError(notFoundMessage);
+                }
+
+                for (const [field, value] of Object.entries(fields)) {
+                    if (value === undefined) {
+                        delete entry[field];
+                    } else {
+                        entry[field] = structuredClone(value);
+                    }
+                }
+                return { [entryName]: copy(entry), version: saveCommunity(community) };
+            },
+
+            async remove(communityId, addressId, entryId, { expectedVersion } = {}) {
+                const { community, address } = findAddress(communityId, addressId);
+                checkVersion(community, expectedVersion);
+                if (!(address[key] || []).some(entry => entry.id === entryId)) {
+                    throw new NotFoundError(notFoundMessage);
+                }
+
+                address[key] = address[key].filter(entry => entry.id !== entryId);
+                return { version: saveCommunity(community) };
+            }
+        };
+    }
+
+    const addresses = {
+        async add(communityId, fields, { expectedVersion } = {}) {
+            const { community } = findAddress(communityId);
+            checkVersion(community, expectedVersion);
+            const address = {
+                id: generateId(),
+                ...structuredClone(fields),
+                people: [],
+                codes: [],
+                createdAt: new Date().toISOString()
+            };
+
+            community.addresses = community.addresses || [];
+            community.addresses.push(address);
+
+            return { address: copy(address), version: saveCommunity(community) };
+        },
+
+        async remove(communityId, addressId, { expectedVersion } = {}) {
+            const { community } = findAddress(communityId, addressId);
+            checkVersion(community, expectedVersion);
+
+            community.addresses = community.addresses.filter(address => address.id !== addressId);
+            return { version: saveCommunity(community) };
+        }
+    };
+
+    const people = addressEntries('people', 'person', 'Person not found');
+
+    const codes = {
+        ...addressEntries('codes', 'code', 'Code not found'),
+
+        async consume(communityId, addressId, codeId, { archive }) {
+            const { community, address } = findAddress(communityId, addressId);
+            const code = (address.codes || []).find(entry => entry.id === codeId);
+            if (!code) {
+                throw new NotFoundError('Code not found');
+            }
+            if (typeof code.remainingUses !== 'number') {
+                return { remainingUses: null, removed: false, version: community.version || 0 };
+            }
+            if (code.remainingUses <= 0) {
+                throw new NotFoundError('Code not found');
+            }
+
+            code.remainingUses -= 1;
+            const removed = code.remainingUses <= 0;
+            if (removed) {
+                address.codes = address.codes.filter(entry => entry.id !== codeId);
+                if (archive) {
+                    data.expiredCodes.push({
+                        ...code,
+                        id: generateId(),
+                        addressId,
+                        codeId,
+                        communityId,
+                        reason: 'used_up',
+                        archivedAt: new Date().toISOString()
+                    });
+                    persist('expiredCodes');
+                }
+            }
+
+            return { remainingUses: code.remainingUses, removed, version: saveCommunity(community) };
+        }
+    };
+
+    /**
+     * Returns the stored access logs of a community that match the filters, newest first.
+     * @param {string} communityName - The name of the community.
+     * @param {Object} filters - The optional `player`, `action`, `gateId`, `from` and `to` filters.
+     * @returns {Array<Object>} The stored entries.
+     */
+    function filterAccessLogs(communityName, { player, action, gateId, from, to }) {
+        return data.accessLogs
+            .filter(entry => entry.community === communityName)
+            .filter(entry => !player || entry.player === player)
+            .filter(entry => !gateId || entry.gateId === gateId)
+            .filter(entry => !action || entry.action === action)
+            .filter(entry => !from || new Date(entry.timestamp) >= from)
+            .filter(entry => !to || new Date(entry.timestamp) <= to)
+            // Entries with the same timestamp are ordered by ID, like Firestore does
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id.localeCompare(a.id));
+    }
+
+    const accessLogs = {
+        async add(fields) {
+            const entry = { id: generateId(), ...fields, timestamp: new Date().toISOString() };
+            data.accessLogs.push(entry);
+            fs.appendFileSync(files.accessLogs, JSON.stringify(entry) + '\n');
+            return copy(entry);
+        },
+
+        async listByCommunity(communityName, { limit, after, ...filters }) {
+            const entries = filterAccessLogs(communityName, filters);
+
+            let start = 0;
+            if (after) {
+                const cursorEntry = data.accessLogs.find(entry => entry.id === after);
+                if (!cursorEntry || cursorEntry.community !== communityName) {
+                    throw new NotFoundError('Cursor not found');
+                }
+                const cursorTime = new Date(cursorEntry.timestamp);
+                start = entries.findIndex(entry => new Date(entry.timestamp) < cursorTime ||
+                    (new Date(entry.timestamp).getTime() === cursorTime.getTime() && entry.id < after));
+                if (start === -1) {
+                    return [];
+                }
+            }
+
+            return entries.slice(start, start + limit).map(copy);
+        },
+
+        async *streamByCommunity(communityName, filters) {
+            for (const entry of filterAccessLogs(communityName, filters)) {
+                yield copy(entry);
+            }
+        }
+    };
+
+    const auditLogs = {
+        async add(fields) {
+            const entry = { id: generateId(), ...structuredClone(fields), timestamp: new Date().toISOString() };
+            data.auditLogs.push(entry);
+            fs.appendFileSync(files.auditLogs, JSON.stringify(entry) + '\n');
+        },
+
+        async list({ actor, communityId, from, to, limit }) {
+            return data.auditLogs
+                .filter(entry => !actor || entry.actor === actor)
+                .filter(entry => !communityId || entry.communityId === communityId)
+                .filter(entry => !from || new Date(entry.timestamp) >= from)
+                .filter(entry => !to || new Date(entry.timestamp) <= to)
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, limit)
+                .map(copy);
+        }
+    };
+
+    const apiKeys = {
+        async get(id) {
+            return copy(data.apiKeys.find(apiKey => apiKey.id === id));
+        },
+
+        async listByCommunity(communityId) {
+            return data.apiKeys.filter(apiKey => apiKey.communityId === communityId).map(copy);
+        },
+
+        async create(id, fields) {
+            const apiKey = { id, ...structuredClone(fields) };
+            data.apiKeys.push(apiKey);
+            persist('apiKeys');
+            return copy(apiKey);
+        },
+
+        async update(id, fields) {
+            const apiKey = data.apiKeys.find(k => k.id === id);
+            if (apiKey) {
+                Object.assign(apiKey, structuredClone(fields));
+                persist('apiKeys');
+            }
+        }
+    };
+
+    return { users, communities, addresses, people, codes, accessLogs, auditLogs, apiKeys };
+}
+
+module.exports = { createLocalStore };
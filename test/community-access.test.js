@@ -0,0 +1,370 @@
+/**
+ * @file test/community-access.test.js
+ * @description Checks that every community route refuses users without the permission it needs, and that users with
+ * the permission can use it. Starts the server with the local storage backend in a temporary data directory, sets up
+ * a community as the superuser, and calls each route as a viewer, an operator, a manager, a resident of another
+ * address and a user outside the community.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server always listens on port 3000
+const BASE_URL = 'http://localhost:3000';
+
+// How long to wait for the server to start
+const STARTUP_TIMEOUT_MS = 15000;
+
+// Password of the users created by the tests
+const PASSWORD = 'correct-horse-battery';
+
+// ID and name of a community that does not exist
+const UNKNOWN_COMMUNITY = 'no-such-community';
+
+// Users who call the community routes, named after their role in the community
+const CALLERS = ['viewer', 'operator', 'manager', 'resident', 'outsider'];
+
+let server;
+let dataDir;
+const ids = {};
+const callers = {};
+
+/**
+ * Starts the server with the local storage backend and waits until it listens and has created the superuser, which
+ * the local backend does in the background at startup.
+ * @returns {Promise<ChildProcess>} The server process.
+ */
+function startServer() {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['server.js'], {
+            cwd: path.join(__dirname, '..'),
+            env: {
+                ...process.env,
+                STORAGE_BACKEND: 'local',
+                LOCAL_DATA_DIR: dataDir,
+                SESSION_SECRET: 'test-session-secret',
+                CODE_HASH_SECRET: 'test-code-secret',
+                REQUEST_SIGNING_SECRET: 'test-signing-secret'
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`The server did not start:\n${output}`));
+        }, STARTUP_TIMEOUT_MS);
+        child.stdout.on('data', data => {
+            output += data;
+            if (output.includes('Server running') && output.includes('Initial superuser created')) {
+                clearTimeout(timer);
+                resolve(child);
+            }
+        });
+        child.stderr.on('data', data => {
+            output += data;
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`The server exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+/**
+ * Creates a client that keeps its session cookies and CSRF token between requests, like a browser.
+ * @returns {{request: Function, login: Function}} The client.
+ */
+function createClient() {
+    const cookies = {};
+    let csrfToken = null;
+
+    /**
+     * Sends a request to the server.
+     * @param {string} method - The HTTP method.
+     * @param {string} url - The path of the route.
+     * @param {Object} [body] - The JSON body.
+     * @returns {Promise<{status: number, data: *}>} The status and the parsed body of the response.
+     */
+    async function request(method, url, body) {
+        const headers = {};
+        if (Object.keys(cookies).length > 0) {
+            headers.Cookie = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        if (csrfToken && method !== 'GET') {
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const response = await fetch(BASE_URL + url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+        for (const cookie of response.headers.getSetCookie()) {
+            const [pair] = cookie.split(';');
+            const index = pair.indexOf('=');
+            cookies[pair.slice(0, index)] = pair.slice(index + 1);
+        }
+        const text = await response.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = text;
+        }
+        return { status: response.status, data };
+    }
+
+    /**
+     * Logs in and fetches the CSRF token of the new session.
+     * @param {string} username - The username.
+     * @param {string} password - The password.
+     */
+    async function login(username, password) {
+        csrfToken = (await request('GET', '/csrf-token')).data.csrfToken;
+        const response = await request('POST', '/api/login', { username, password });
+        assert.strictEqual(response.status, 200, `Login of ${username} failed: ${JSON.stringify(response.data)}`);
+        csrfToken = (await request('GET', '/csrf-token')).data.csrfToken;
+    }
+
+    return { request, login };
+}
+
+/**
+ * Sends a request as the superuser while setting up, and fails the tests if it does not succeed.
+ * @param {Object} admin - The client of the superuser.
+ * @param {string} method - The HTTP method.
+ * @param {string} url - The path of the route.
+ * @param {Object} [body] - The JSON body.
+ * @returns {Promise<*>} The parsed body of the response.
+ */
+async function setUp(admin, method, url, body) {
+    const response = await admin.request(method, url, body);
+    assert.ok(response.status >= 200 && response.status < 300,
+        `${method} ${url} failed with ${response.status}: ${JSON.stringify(response.data)}`);
+    return response.data;
+}
+
+/**
+ * Lists the community routes with the callers that may use them.
+ * @param {string} communityId - The ID of the community.
+ * @param {string} communityName - The name of the community, used by the log routes.
+ * @returns {Array<{method: string, url: string, allowed: string[], body: (Object|undefined)}>} The routes.
+ */
+function getRoutes(communityId, communityName) {
+    const community = `/api/communities/${communityId}`;
+    const address = `${community}/addresses/${ids.address}`;
+    const operator = ['operator', 'manager'];
+    const code = { description: 'test', expiresAt: tomorrow() };
+    const guestPass = { player: 'guest', expiresAt: tomorrow() };
+    return [
+        { method: 'DELETE', url: community, allowed: [] },
+        { method: 'PUT', url: `${community}/allowed-users`, allowed: ['manager'], body: { allowedUsers: [] } },
+        { method: 'PUT', url: `${community}/timezone`, allowed: [], body: { timezone: 'UTC' } },
+        { method: 'PUT', url: `${community}/lockdown`, allowed: [], body: { active: true } },
+        { method: 'POST', url: `${community}/bans`, allowed: [], body: { playerId: '1', reason: 'test' } },
+        { method: 'DELETE', url: `${community}/bans/${ids.ban}`, allowed: [] },
+        { method: 'POST', url: `${community}/gates`, allowed: [], body: { name: 'South' } },
+        { method: 'DELETE', url: `${community}/gates/${ids.gate}`, allowed: [] },
+        { method: 'GET', url: `${community}/api-keys`, allowed: [] },
+        { method: 'POST', url: `${community}/api-keys`, allowed: [], body: { label: 'test' } },
+        { method: 'POST', url: `${community}/api-keys/${ids.apiKey}/rotate`, allowed: [] },
+        { method: 'DELETE', url: `${community}/api-keys/${ids.apiKey}`, allowed: [] },
+        { method: 'GET', url: `${community}/addresses`, allowed: ['viewer', 'operator', 'manager', 'resident'] },
+        { method: 'POST', url: `${community}/addresses`, allowed: operator, body: { street: '3 Main' } },
+        { method: 'DELETE', url: address, allowed: operator },
+        { method: 'POST', url: `${address}/people`, allowed: operator, body: { username: 'guest', playerId: '5' } },
+        { method: 'DELETE', url: `${address}/people/${ids.person}`, allowed: operator },
+        { method: 'POST', url: `${address}/codes`, allowed: operator, body: code },
+        {
+            method: 'PUT',
+            url: `${address}/codes/${ids.code}/allowed-users`,
+            allowed: operator,
+            body: { allowedUsers: [] }
+        },
+        { method: 'DELETE', url: `${address}/codes/${ids.code}`, allowed: operator },
+        { method: 'POST', url: `${address}/guest-passes`, allowed: operator, body: guestPass },
+        { method: 'DELETE', url: `${address}/guest-passes/${ids.guestPass}`, allowed: operator },
+        { method: 'GET', url: `/api/communities/${communityName}/logs`, allowed: ['viewer', ...operator] },
+        { method: 'GET', url: `/api/communities/${communityName}/logs/export`, allowed: ['viewer', ...operator] }
+    ];
+}
+
+/**
+ * Returns the time one day from now.
+ * @returns {string} The time as an ISO string.
+ */
+function tomorrow() {
+    return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resilive-test-'));
+    server = await startServer();
+
+    const admin = createClient();
+    await admin.login('superuser', 'root');
+    callers.admin = admin;
+
+    // The tenant is only linked to an address by the operator's tests
+    for (const username of [...CALLERS, 'tenant']) {
+        const { id } = await setUp(admin, 'POST', '/api/users', { username, password: PASSWORD });
+        ids[username] = id;
+    }
+    await setUp(admin, 'PUT', `/api/users/${ids.resident}/role`, { role: 'resident' });
+
+    const { community } = await setUp(admin, 'POST', '/api/communities', { name: 'Oakwood' });
+    ids.community = community.id;
+    const communityUrl = `/api/communities/${community.id}`;
+    await setUp(admin, 'PUT', `${communityUrl}/allowed-users`, {
+        allowedUsers: ['viewer', 'operator', 'manager'],
+        roles: { viewer: 'viewer', operator: 'operator', manager: 'manager' }
+    });
+    ids.gate = (await setUp(admin, 'POST', `${communityUrl}/gates`, { name: 'North' })).id;
+    ids.ban = (await setUp(admin, 'POST', `${communityUrl}/bans`, { playerId: '2', reason: 'griefing' })).id;
+    ids.apiKey = (await setUp(admin, 'POST', `${communityUrl}/api-keys`, { label: 'game' })).apiKey.id;
+
+    // The resident is linked to the second address only, and all routes are called on the first
+    ids.address = (await setUp(admin, 'POST', `${communityUrl}/addresses`, { street: '1 Main' })).id;
+    ids.residentAddress = (await setUp(admin, 'POST', `${communityUrl}/addresses`, { street: '2 Main' })).id;
+    await setUp(admin, 'POST', `${communityUrl}/addresses/${ids.residentAddress}/people`, {
+        username: 'neighbour',
+        playerId: '3',
+        account: 'resident'
+    });
+    const addressUrl = `${communityUrl}/addresses/${ids.address}`;
+    ids.person = (await setUp(admin, 'POST', `${addressUrl}/people`, { username: 'owner', playerId: '4' })).id;
+    ids.code = (await setUp(admin, 'POST', `${addressUrl}/codes`, { description: 'door', expiresAt: tomorrow() })).id;
+    ids.guestPass = (await setUp(admin, 'POST', `${addressUrl}/guest-passes`, {
+        player: 'visitor',
+        expiresAt: tomorrow()
+    })).id;
+
+    for (const username of CALLERS) {
+        callers[username] = createClient();
+        await callers[username].login(username, PASSWORD);
+    }
+});
+
+after(() => {
+    if (server) {
+        server.kill();
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+for (const caller of CALLERS) {
+    test(`${caller} is refused on community routes without the needed permission`, async () => {
+        for (const route of getRoutes(ids.community, 'Oakwood')) {
+            if (route.allowed.includes(caller)) {
+                continue;
+            }
+            const response = await callers[caller].request(route.method, route.url, route.body);
+            assert.strictEqual(response.status, 403, `${route.method} ${route.url}`);
+        }
+    });
+
+    // Users outside the community may not read anything in it
+    if (caller !== 'outsider') {
+        test(`${caller} can read the community data of their role`, async () => {
+            for (const route of getRoutes(ids.community, 'Oakwood')) {
+                if (route.method === 'GET' && route.allowed.includes(caller)) {
+                    const response = await callers[caller].request(route.method, route.url);
+                    assert.strictEqual(response.status, 200, `${route.method} ${route.url}`);
+                }
+            }
+        });
+    }
+
+    test(`${caller} gets 404 on community routes of a community that does not exist`, async () => {
+        for (const route of getRoutes(UNKNOWN_COMMUNITY, UNKNOWN_COMMUNITY)) {
+            const response = await callers[caller].request(route.method, route.url, route.body);
+            assert.strictEqual(response.status, 404, `${route.method} ${route.url}`);
+        }
+    });
+}
+
+// The write tests run after the refusal tests, so that the routes above are called on the data set up before
+test('operator can manage addresses, residents, codes and guest passes', async () => {
+    const operator = callers.operator;
+    const communityUrl = `/api/communities/${ids.community}`;
+    const address = await operator.request('POST', `${communityUrl}/addresses`, { street: '4 Main' });
+    assert.strictEqual(address.status, 201);
+    const addressUrl = `${communityUrl}/addresses/${address.data.id}`;
+
+    const person = await operator.request('POST', `${addressUrl}/people`, {
+        username: 'tenant',
+        playerId: '6',
+        account: 'tenant'
+    });
+    assert.strictEqual(person.status, 201);
+    assert.strictEqual(person.data.userId, ids.tenant);
+
+    const code = await operator.request('POST', `${addressUrl}/codes`, { description: 'door', expiresAt: tomorrow() });
+    assert.strictEqual(code.status, 201);
+    const codeUrl = `${addressUrl}/codes/${code.data.id}`;
+    const players = await operator.request('PUT', `${codeUrl}/allowed-users`, { allowedUsers: ['tenant'] });
+    assert.strictEqual(players.status, 200);
+    assert.strictEqual((await operator.request('DELETE', codeUrl)).status, 200);
+
+    const guestPass = { player: 'visitor', expiresAt: tomorrow() };
+    const pass = await operator.request('POST', `${addressUrl}/guest-passes`, guestPass);
+    assert.strictEqual(pass.status, 201);
+    assert.strictEqual((await operator.request('DELETE', `${addressUrl}/guest-passes/${pass.data.id}`)).status, 200);
+
+    assert.strictEqual((await operator.request('DELETE', `${addressUrl}/people/${person.data.id}`)).status, 200);
+    assert.strictEqual((await operator.request('DELETE', addressUrl)).status, 200);
+});
+
+test('manager can change the allowed users and manage codes', async () => {
+    const manager = callers.manager;
+    const response = await manager.request('PUT', `/api/communities/${ids.community}/allowed-users`, {
+        allowedUsers: ['viewer', 'operator', 'manager'],
+        roles: { viewer: 'viewer', operator: 'operator', manager: 'manager' }
+    });
+    assert.strictEqual(response.status, 200);
+
+    const addressUrl = `/api/communities/${ids.community}/addresses/${ids.address}`;
+    const code = await manager.request('POST', `${addressUrl}/codes`, { description: 'gate', expiresAt: tomorrow() });
+    assert.strictEqual(code.status, 201);
+    assert.strictEqual((await manager.request('DELETE', `${addressUrl}/codes/${code.data.id}`)).status, 200);
+});
+
+test('resident can manage residents, codes and guest passes of their own address', async () => {
+    const resident = callers.resident;
+    const addressUrl = `/api/communities/${ids.community}/addresses/${ids.residentAddress}`;
+
+    const person = await resident.request('POST', `${addressUrl}/people`, { username: 'roommate', playerId: '8' });
+    assert.strictEqual(person.status, 201);
+    // Linking dashboard accounts needs `residents.link`, which residents do not have
+    const linked = await resident.request('POST', `${addressUrl}/people`, {
+        username: 'tenant',
+        playerId: '6',
+        account: 'tenant'
+    });
+    assert.strictEqual(linked.status, 403);
+
+    const code = await resident.request('POST', `${addressUrl}/codes`, { description: 'door', expiresAt: tomorrow() });
+    assert.strictEqual(code.status, 201);
+    assert.strictEqual((await resident.request('DELETE', `${addressUrl}/codes/${code.data.id}`)).status, 200);
+
+    const guestPass = { player: 'visitor', expiresAt: tomorrow() };
+    const pass = await resident.request('POST', `${addressUrl}/guest-passes`, guestPass);
+    assert.strictEqual(pass.status, 201);
+    assert.strictEqual((await resident.request('DELETE', `${addressUrl}/guest-passes/${pass.data.id}`)).status, 200);
+    assert.strictEqual((await resident.request('DELETE', `${addressUrl}/people/${person.data.id}`)).status, 200);
+});
+
+// The log routes and game servers find communities by name, so a second community with the same name would share the
+// logs of the first one
+test('a community cannot be created with the name of an existing one', async () => {
+    const response = await callers.admin.request('POST', '/api/communities', { name: 'Oakwood' });
+    assert.strictEqual(response.status, 409);
+    const { data } = await callers.admin.request('GET', '/api/communities');
+    assert.strictEqual(data.filter(community => community.name === 'Oakwood').length, 1);
+});
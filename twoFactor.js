@@ -0,0 +1,171 @@
+/**
+ * @file twoFactor.js
+ * @description Two-factor authentication with time-based one-time passwords (TOTP, RFC 6238) as shown by
+ * authenticator apps, and single-use recovery codes for users who lost their authenticator. Like access codes,
+ * recovery codes are only stored as a hash.
+ */
+const crypto = require('crypto');
+
+// Characters of the base32 encoding used for TOTP secrets (RFC 4648)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Length of a time step, number of digits of a one-time password, and how many steps a password may be off by to
+// allow for clock drift. These are the defaults of authenticator apps.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+
+// Number of recovery codes created at a time
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encodes bytes as base32 without padding.
+ * @param {Buffer} buffer - The bytes.
+ * @returns {string} The base32 text.
+ */
+function encodeBase32(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let text = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return text;
+}
+
+/**
+ * Decodes base32 text, ignoring case, spaces and padding.
+ * @param {string} text - The base32 text.
+ * @returns {Buffer} The bytes.
+ */
+function decodeBase32(text) {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Creates a random TOTP secret.
+ * @returns {string} The base32-encoded secret, as entered in authenticator apps.
+ */
+function generateTotpSecret() {
+    return encodeBase32(crypto.randomBytes(20));
+}
+
+/**
+ * Calculates the one-time password of a time step (HOTP, RFC 4226).
+ * @param {string} secret - The base32-encoded secret.
+ * @param {number} step - The time step.
+ * @returns {string} The one-time password.
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(value).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a one-time password entered by the user. Passwords of time steps up to and including `lastStep` are
+ * rejected, so that a password cannot be used twice.
+ * @param {string} secret - The base32-encoded secret.
+ * @param {string} token - The password entered by the user.
+ * @param {number} [lastStep] - The time step of the last password that was accepted.
+ * @returns {number|null} The time step of the password, or null if it does not match.
+ */
+function verifyTotp(secret, token, lastStep) {
+    const value = String(token || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(value)) {
+        return null;
+    }
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (lastStep !== undefined && lastStep !== null && step <= lastStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(value))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URL that authenticator apps read from the QR code.
+ * @param {string} secret - The base32-encoded secret.
+ * @param {string} username - The username, shown in the app.
+ * @param {string} issuer - The name of the application, shown in the app.
+ * @returns {string} The URL.
+ */
+function getTotpUrl(secret, username, issuer) {
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Hashes a recovery code for storage and comparison. Codes are compared without case and dashes.
+ * @param {string} code - The recovery code.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Creates a new set of recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} The plaintext codes, which are shown to the user once, and the
+ * hashes to store.
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Checks a recovery code entered by the user against the stored hashes.
+ * @param {string[]} hashes - The hashes of the unused recovery codes.
+ * @param {string} code - The recovery code entered by the user.
+ * @returns {string[]|null} The hashes left once the code is used up, or null if the code does not match.
+ */
+function useRecoveryCode(hashes, code) {
+    if (!code) {
+        return null;
+    }
+    const hash = hashRecoveryCode(code);
+    const index = (hashes || []).findIndex(stored => crypto.timingSafeEqual(Buffer.from(stored), Buffer.from(hash)));
+    return index === -1 ? null : hashes.filter((stored, i) => i !== index);
+}
+
+module.exports = {
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    getTotpUrl,
+    generateRecoveryCodes,
+    useRecoveryCode
+};